@@ -10,9 +10,12 @@ const ApplianceCleaning = require('./lib/appliance_cleaning.js');
 const ApplianceCooking = require('./lib/appliance_cooking.js');
 const ApplianceCooling = require('./lib/appliance_cooling.js');
 const ConfigSchema = require('./lib/config_schema.js');
+const TokenStore = require('./lib/token_store.js');
+const NetworkOptions = require('./lib/network_options.js');
+const ImageCache = require('./lib/image_cache.js');
+const ImageServer = require('./lib/image_server.js');
 const NodePersist = require('node-persist');
 const Path = require('path');
-const fsPromises = require('fs').promises;
 const chalk = require('chalk');
 
 let UUID;
@@ -48,6 +51,11 @@ class HomeConnectPlatform {
         // Wait for Homebridge to restore cached accessories
         this.homebridge.on('didFinishLaunching',
                            () => this.finishedLaunching());
+
+        // Stop the events streams when Homebridge exits
+        this.homebridge.on('shutdown', () => {
+            for (let account of this.accounts || []) account.api.stopEvents();
+        });
     }
 
     // Restore a cached accessory
@@ -70,19 +78,12 @@ class HomeConnectPlatform {
         this.persist = NodePersist.create({ dir: persistDir });
         await this.persist.init();
 
-        // Retrieve any saved authorisation token
-        let savedToken = await this.persist.getItem('token');
-        if (!savedToken) {
-            try {
-                // Attempt to load any old auth data saved by node-persist 0.0.8
-                let tokenFile = Path.join(this.homebridge.user.storagePath(),
-                                          PLUGIN_NAME, 'token');
-                let data = await fsPromises.readFile(tokenFile);
-                savedToken = JSON.parse(data);
-                this.log.warn('Old format authorsation data retrieved');
-            } catch (err) {}
-            if (!savedToken) this.log.warn('No saved authorisation data found');
-        }
+        // Retrieve any saved (encrypted) authorisation tokens
+        this.tokenStore = new TokenStore(
+            this.log, this.persist,
+            Path.join(this.homebridge.user.storagePath(), PLUGIN_NAME),
+            (this.config || {}).tokensecret);
+        let savedToken = await this.tokenStore.load();
 
         // Prepare a configuration schema
         this.schema = new ConfigSchema(this.log, this.persist,
@@ -95,55 +96,231 @@ class HomeConnectPlatform {
                                    + ' removing all cached accessories');
             return this.addRemoveAccessories([]);
         }
-        if (!this.config['clientid']) {
+        let accounts = this.getAccountConfigs();
+        if (!accounts.length) {
             return this.log.error('Platform ' + PLATFORM_NAME + ' config.json'
                                   + " is missing 'clientid' property");
         }
 
-        // Connect to the Home Connect cloud
-        this.homeconnect = new HomeConnectAPI({
-            log:        this.log,
+        // Proxy and TLS options for all accounts (CA files relative to storage)
+        this.network = new NetworkOptions(this.log, {
+            proxy:      this.config.proxy,
+            noProxy:    this.config.noproxy,
+            ca:         (this.config.cacerts || []).map(file => Path.resolve(
+                            this.homebridge.user.storagePath(), file))
+        });
+        let network = this.network.describe();
+        if (network) this.log('Connecting to Home Connect using ' + network);
+
+        // Cache of appliance camera images, optionally served on the LAN
+        let imageDir = Path.join(this.homebridge.user.storagePath(),
+                                 PLUGIN_NAME, 'images');
+        this.imageCache = new ImageCache(this.log, imageDir,
+                                         this.config.imageretention);
+        if (this.config.imageport) {
+            this.imageServer = new ImageServer(this.log, this.config.imageport,
+                                               this.imageCache);
+            this.imageServer.start().catch(err => this.log.error(err.message));
+        }
+
+        // Connect to the Home Connect cloud for each account
+        // (all accounts share the saved tokens, which are keyed by Client ID)
+        let savedAuth = savedToken;
+        this.authorisationURIs = {};
+        this.endpointConfig = this.getEndpointConfig();
+        try {
+            this.accounts = accounts.map((account, index) =>
+                this.connectAccount(account, index, savedAuth));
+        } catch (err) {
+            return this.log.error('Unable to connect to Home Connect: '
+                                  + err.message);
+        }
+        this.homeconnect = this.accounts[0].api;
+        this.schema.setEndpoint(this.homeconnect.describeEndpoint());
+
+        // Obtain a list of Home Connect home appliances for each account
+        for (let account of this.accounts) this.updateAppliances(account);
+    };
+
+    // Home Connect endpoint, with server as shorthand for a stand-in server
+    getEndpointConfig() {
+        let { server, endpoint } = this.config;
+        if (!server) return endpoint;
+        if (endpoint) {
+            this.log.warn("Ignoring 'server' property in config.json because"
+                          + " 'endpoint' is also specified");
+            return endpoint;
+        }
+        return { oauth: server, api: server };
+    }
+
+    // Combine the primary and any additional Home Connect accounts
+    getAccountConfigs() {
+        let accounts = [];
+        if (this.config['clientid']) accounts.push(this.config);
+        for (let account of this.config['accounts'] || []) {
+            if (!account.clientid) {
+                this.log.error('Ignoring Home Connect account without a'
+                               + " 'clientid' property");
+            } else if (accounts.some(a => a.clientid == account.clientid)) {
+                this.log.error('Ignoring duplicate Home Connect account with'
+                               + ' Client ID ' + account.clientid);
+            } else {
+                accounts.push(account);
+            }
+        }
+        return accounts;
+    }
+
+    // Connect to the Home Connect cloud for a single account
+    connectAccount(config, index, savedAuth) {
+        // Identify the account in log messages if there are several
+        let name = config.name || (index ? 'Account ' + (index + 1)
+                                         : 'Primary account');
+        let log = this.log;
+        if (this.config['accounts'] && this.config['accounts'].length) {
+            let prefix = '[' + name + '] ';
+            log = msg => this.log(prefix + msg);
+            for (let level of ['info', 'warn', 'error', 'debug']) {
+                log[level] = msg => this.log[level](prefix + msg);
+            }
+        }
+
+        // Recording and replay files are relative to the Homebridge storage
+        // (only supported for the primary account)
+        let storagePath = file => !index && file
+            && Path.resolve(this.homebridge.user.storagePath(), file);
+
+        let account = { name: name, log: log };
+        account.api = new HomeConnectAPI({
+            log:        log,
             // User options from config.json
-            clientID:   this.config.clientid,
-            simulator:  this.config.simulator,
+            clientID:   config.clientid,
+            simulator:  config.simulator,
+            authFlow:   config.authflow,
+            clientSecret: config.clientsecret,
+            redirectURI:  config.redirecturi,
+            scopes:     config.scopes,
+            endpoint:   this.endpointConfig,
             language:   (this.config.language || {}).api,
-            // Saved access and refresh tokens
-            savedAuth:  savedToken
+            eventStreams: this.config.eventstreams,
+            pollInterval: this.config.pollinterval,
+            commandExpiry: this.config.commandexpiry,
+            network:    this.network,
+            record:     storagePath(this.config.record),
+            replay:     storagePath(this.config.replay),
+            // Saved access and refresh tokens (shared with other instances)
+            savedAuth:  savedAuth,
+            tokenStore: this.config.replay ? undefined : this.tokenStore,
+            // Downloaded camera images
+            imageCache: this.imageCache,
+            // Persistent storage for API quota accounting (not when replaying)
+            persist:    this.config.replay ? undefined : this.persist
         }).on('auth_save', async token => {
-            this.schema.setAuthorised();
-            await this.persist.setItem('token', token);
-            this.log('Home Connect authorisation token saved');
+            delete this.authorisationURIs[config.clientid];
+            this.updateAuthorisationURI();
+            await this.tokenStore.save(token);
+            log('Home Connect authorisation token saved');
         }).on('auth_uri', uri => {
-            this.schema.setAuthorisationURI(uri);
-            this.log(chalk.greenBright('Home Connect authorisation required.'
-                                       + ' Please visit:'));
-            this.log('    ' + chalk.greenBright.bold(uri));
-        });
+            this.authorisationURIs[config.clientid] = uri;
+            this.updateAuthorisationURI();
+            log(chalk.greenBright('Home Connect authorisation required.'
+                                  + ' Please visit:'));
+            log('    ' + chalk.greenBright.bold(uri));
+        }).on('events_health', health => this.logEventsHealth(health, log));
+        return account;
+    }
 
-        // Obtain a list of Home Connect home appliances
-        this.updateAppliances();
-    };
+    // Show any pending authorisation in the configuration schema
+    updateAuthorisationURI() {
+        let uris = Object.values(this.authorisationURIs);
+        if (uris.length) this.schema.setAuthorisationURI(uris[0]);
+        else this.schema.setAuthorised();
+    }
+
+    // Log a summary of the events stream health when it changes
+    logEventsHealth(health, log) {
+        let reasons = [...new Set(health.reasons.map(r => r.reason))];
+        let summary = 'Home Connect events stream ' + health.state;
+        if (health.state != 'connected' && health.failures) {
+            summary += ' after ' + health.failures + ' consecutive failures';
+        }
+        if (health.appliances.length) {
+            summary += ' (' + health.appliances.length
+                       + ' per-appliance streams connected)';
+        }
+        switch (health.state) {
+        case 'connected':
+            log(summary);
+            break;
+        case 'degraded':
+            log.warn(summary);
+            if (reasons.length) log.warn('Recent failures: '
+                                         + reasons.join('; '));
+            break;
+        case 'down':
+            log.error(summary);
+            if (reasons.length) log.error('Recent failures: '
+                                          + reasons.join('; '));
+            break;
+        }
+    }
 
     // Periodically update a list of Home Connect home appliances
-    async updateAppliances() {
+    async updateAppliances(account) {
+        let api = account.api, log = account.log;
         while (true) {
             try {
-                await this.homeconnect.waitUntilAuthorised();
-                let appliances = await this.homeconnect.getAppliances();
-                this.log.debug('Found ' + appliances.length + ' appliances');
-                await this.addRemoveAccessories(appliances);
+                await api.waitUntilAuthorised();
+                if (account.appliances && api.isQuotaLow()) {
+                    // Defer updating the appliances if low on API quota
+                    log.debug('Deferring update of home appliances list'
+                              + ' to conserve API quota');
+                } else {
+                    let appliances = await api.getAppliances();
+                    log.debug('Found ' + appliances.length + ' appliances');
+                    account.appliances = appliances;
+                    await this.mergeAccountAppliances();
+                }
+                let quota = api.getQuota();
+                log.debug('Home Connect API usage in previous 24 hours: '
+                          + quota.calls + ' calls, ' + quota.refreshes
+                          + ' token refreshes');
             } catch (err) {
-                this.log.error('Failed to read list of'
-                               + ' home appliances: ' + err);
+                // Retry as soon as any network outage is over
+                if (api.isOffline()) {
+                    await api.waitOnline();
+                    continue;
+                }
+                log.error('Failed to read list of home appliances: ' + err);
             }
-            await this.homeconnect.sleep(UPDATE_APPLIANCES_DELAY);
+            await api.sleep(UPDATE_APPLIANCES_DELAY);
         }
     }
 
+    // Combine the appliances from all accounts
+    mergeAccountAppliances() {
+        let appliances = [];
+        let complete = true;
+        this.applianceAPIs = {};
+        for (let account of this.accounts) {
+            if (!account.appliances) complete = false;
+            for (let ha of account.appliances || []) {
+                // (the first account takes ownership of shared appliances)
+                if (this.applianceAPIs[ha.haId]) continue;
+                this.applianceAPIs[ha.haId] = account.api;
+                appliances.push(ha);
+            }
+        }
+
+        // Only remove accessories once all accounts have listed appliances
+        return this.addRemoveAccessories(appliances, complete);
+    }
+
     // Add or remove accessories to match the available appliances
-    async addRemoveAccessories(appliances) {
+    async addRemoveAccessories(appliances, complete = true) {
         // Update the configuration schema
-        await this.schema.setAppliances(appliances);
+        await this.schema.setAppliances(appliances, complete);
 
         // Add a Homebridge accessory for each new appliance
         let newAccessories = [];
@@ -172,6 +349,9 @@ class HomeConnectPlatform {
                 return this.log.warn("Appliance type '" + ha.type
                                      + "' not currently supported");
             
+            // Name the appliance's camera images (if any)
+            if (this.imageServer) this.imageServer.setName(ha.haId, ha.name);
+
             // Convert the Home Connect haId into a Homebridge UUID
             ha.uuid = UUID.generate(ha.haId);
             let accessory = this.accessories[ha.uuid];
@@ -190,7 +370,8 @@ class HomeConnectPlatform {
             
             // Construct an instance of the appliance
             let device = new HomeConnectDevice(
-                msg => this.log.debug(msg), this.homeconnect, ha);
+                msg => this.log.debug(msg), this.applianceAPIs[ha.haId], ha,
+                this.persist);
             let deviceConfig = this.config[ha.haId] || {};
             try {
                 accessory.appliance =
@@ -206,6 +387,7 @@ class HomeConnectPlatform {
             PLUGIN_NAME, PLATFORM_NAME, newAccessories);
         
         // Delete accessories for which there is no matching appliance
+        if (!complete) return;
         let oldAccessories = [];
         Object.keys(this.accessories).forEach(uuid => {
             let accessory = this.accessories[uuid];
@@ -69,6 +69,7 @@ module.exports.Hob = class ApplianceHob
             'Cooking.Oven.Event.PreheatFinished':   'Preheat Finished'
         });
         this.mixin(HasRemoteControl);
+        this.mixin(HasPrograms);
     }
 }
 
@@ -7,6 +7,7 @@ const ApplianceGeneric = require('./appliance_generic.js');
 const HasCooling = require('./has_cooling.js');
 const HasDoor = require('./has_door.js');
 const HasEvents = require('./has_events.js');
+const HasImages = require('./has_images.js');
 
 // A Homebridge accessory for a Home Connect freezer
 module.exports.Freezer = class ApplianceFreezer
@@ -43,6 +44,7 @@ module.exports.FridgeFreezer = class ApplianceFridgeFreezer
                 'Freezer Temperature Alarm'
         });
         this.mixin(HasCooling);
+        this.mixin(HasImages);
     }
 }
 
@@ -59,6 +61,7 @@ module.exports.Refrigerator = class ApplianceRefrigerator
                 'Refrigerator Door Alarm'
         });
         this.mixin(HasCooling);
+        this.mixin(HasImages);
     }
 }
 
@@ -3,7 +3,9 @@
 
 'use strict';
 
-const requestErrors = require('request-promise-native/errors');
+const { HomeConnectError, NetworkError, ScopeError, ApplianceOfflineError,
+        RequestCancelledError } = require('./homeconnect_errors.js');
+const HasCommandQueue = require('./has_command_queue.js');
 const HasPower = require('./has_power.js');
 const PersistCache = require('./persist_cache.js');
 
@@ -46,6 +48,13 @@ module.exports = class ApplianceGeneric {
         // Log errors from the Home Connect API as warnings
         device.on('error', (...args) => this.reportError(...args));
 
+        // Log scopes that have not been authorised (once per change)
+        device.on('scopes_missing', scopes => {
+            this.warn('Features requiring the ' + scopes.join(', ')
+                      + (scopes.length == 1 ? ' scope have' : ' scopes have')
+                      + ' been disabled because they have not been authorised');
+        });
+
         // Handle the identify request
         accessory.on('identify', this.callbackify(this.identify));
         
@@ -72,6 +81,9 @@ module.exports = class ApplianceGeneric {
 
         // All appliances have power state
         this.mixin(HasPower);
+
+        // Changes may be queued while the appliance is disconnected
+        this.mixin(HasCommandQueue);
     }
 
     // Tidy-up after earlier versions of this plugin
@@ -135,13 +147,39 @@ module.exports = class ApplianceGeneric {
     }
 
     // Query the appliance when connected and cache the result
-    async getCached(key, operation) {
+    getCached(key, operation) {
+        // Share a single operation between concurrent requests for the same key
+        if (!this.getCachedPending) this.getCachedPending = {};
+        let pending = this.getCachedPending[key];
+        if (pending) {
+            this.debug("Coalescing cached operation '" + key + "'");
+        } else {
+            pending = this.getCachedRaw(key, operation);
+            this.getCachedPending[key] = pending;
+            let cleanup = () => delete this.getCachedPending[key];
+            pending.then(cleanup, cleanup);
+        }
+        return pending;
+    }
+
+    // Query the appliance when connected and cache the result (not coalesced)
+    async getCachedRaw(key, operation) {
         // Use cached result if possible
         let cacheKey = 'Appliance ' + key;
         if (!await this.cache.hasExpired(cacheKey)) {
             return await this.cache.get(cacheKey);
         }
 
+        // Defer refreshing an expired cache entry if low on API quota
+        if (this.device.api.isQuotaLow()) {
+            let value = await this.cache.get(cacheKey);
+            if (value !== undefined) {
+                this.debug("Using expired cache result for '" + key
+                           + "' to conserve API quota");
+                return value;
+            }
+        }
+
         try {
             // Wait for the appliance to connect and then attempt the operation
             await this.device.waitConnected(true);
@@ -154,7 +192,9 @@ module.exports = class ApplianceGeneric {
             let value = await this.cache.get(cacheKey);
             if (value !== undefined) {
                 // Operation failed, so use the (expired) cache entry
-                this.warn('Using expired cache result: ' + err.message);
+                let log = err instanceof RequestCancelledError
+                          ? msg => this.debug(msg) : msg => this.warn(msg);
+                log('Using expired cache result: ' + err.message);
                 return value;
             } else {
                 this.reportError(err, "Cached operation '" + key + "'");
@@ -229,8 +269,9 @@ module.exports = class ApplianceGeneric {
                 let data = await fn.bind(this)(value);
                 callback(null, data);
             } catch (err) {
+                // (HomeKit is given the explanation of the error, if known)
                 this.reportError(err);
-                callback(err);
+                callback(err.help ? new Error(err.help) : err);
             }
         };
     }
@@ -271,15 +312,28 @@ module.exports = class ApplianceGeneric {
 
     // Report an error
     reportError(err, op) {
+        // Missing scopes and network outages have already been reported,
+        // and requests abandoned due to disconnection are expected
+        if (err instanceof ScopeError || err instanceof RequestCancelledError
+            || (err instanceof NetworkError && this.device.api.isOffline())) {
+            this.debug((op ? op + ': ' : '') + err.message);
+            return err;
+        }
+
         // Suppress duplicate reports
         if (this.lastError !== err) {
             this.lastError = err;
 
-            // Log this error with some context
-            this.error(err.message);
-            if (op) this.error(op);
-            if (err instanceof requestErrors.StatusCodeError)
-                this.error(err.options.method + ' ' + err.options.url);
+            // An appliance being offline is expected, so just warn
+            let log = err instanceof ApplianceOfflineError
+                      ? msg => this.warn(msg) : msg => this.error(msg);
+
+            // Log this error with some context and any suggested fix
+            log(err.message);
+            if (err.help) log(err.help);
+            if (op) log(op);
+            if (err instanceof HomeConnectError && err.request)
+                log(err.request.method + ' ' + err.request.url);
 
             // Log any stack backtrace at lower priority
             if (err.stack) this.debug(err.stack);
@@ -0,0 +1,120 @@
+// Homebridge plugin for Home Connect home appliances
+// Copyright © 2019-2020 Alexander Thoukydides
+
+'use strict';
+
+const http = require('http');
+const url = require('url');
+const Logging = require('./logging.js');
+
+// Maximum time to wait for the user to complete authorisation
+const CODE_TIMEOUT = 10 * 60;   // (seconds)
+
+// Host names that only accept connections from the local machine
+const LOOPBACK_HOSTS = /^(localhost|127(\.[0-9]+){3}|::1)$/i;
+
+// Multiplier to convert seconds to milliseconds
+const MS = 1000;
+
+// Pages returned to the web browser after the redirection
+const PAGE_SUCCESS = '<html><body><h1>Home Connect authorisation complete</h1>'
+                     + '<p>This window can now be closed.</p></body></html>';
+const PAGE_FAILURE = '<html><body><h1>Home Connect authorisation failed</h1>'
+                     + '<p>Check the Homebridge log for details.</p></body></html>';
+
+// Local HTTP listener for the Authorization Code Grant Flow redirection
+module.exports = class AuthRedirectListener {
+
+    // Create a new listener for a redirect URI
+    constructor(log, redirectURI) {
+        this.logRaw = log;
+        let parsed = url.parse(redirectURI);
+        if (parsed.protocol != 'http:' || !parsed.port) {
+            throw new Error("Redirect URI '" + redirectURI + "' must be an"
+                            + ' http: URL with an explicit port number');
+        }
+        this.port = parseInt(parsed.port, 10);
+        this.path = parsed.pathname;
+
+        // Only listen on the loopback interface if that is all that is needed
+        if (LOOPBACK_HOSTS.test(parsed.hostname)) this.host = parsed.hostname;
+    }
+
+    // Start listening for the redirection
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) =>
+                this.handleRequest(req, res));
+            this.server.on('error', err => {
+                reject(new Error('Unable to listen for authorisation'
+                                 + ' redirect on port ' + this.port
+                                 + ': ' + err.message));
+            });
+            this.server.listen(this.port, this.host, () => {
+                this.debug('Listening for authorisation redirect on '
+                           + (this.host ? this.host + ' ' : '')
+                           + 'port ' + this.port);
+                resolve();
+            });
+        });
+    }
+
+    // Stop listening
+    stop() {
+        clearTimeout(this.timeoutScheduled);
+        if (this.server) this.server.close();
+        delete this.server;
+    }
+
+    // Wait for an authorisation code with the expected state
+    waitForCode(state, timeout = CODE_TIMEOUT) {
+        this.state = state;
+        return new Promise((resolve, reject) => {
+            this.resolve = resolve;
+            this.reject = reject;
+            this.timeoutScheduled = setTimeout(() => {
+                delete this.resolve;
+                delete this.reject;
+                reject(new Error('Authorisation not completed within '
+                                 + timeout + ' seconds'));
+            }, timeout * MS);
+        });
+    }
+
+    // Handle a request to the listener
+    handleRequest(req, res) {
+        let parsed = url.parse(req.url, true);
+        if (req.method != 'GET' || parsed.pathname != this.path) {
+            res.writeHead(404, { 'content-type': 'text/plain' });
+            return res.end('Not found\n');
+        }
+        let query = parsed.query;
+
+        // Ignore redirections for other authorisation attempts
+        if (query.state != this.state) {
+            this.warn('Ignoring authorisation redirect with unexpected state');
+            res.writeHead(400, { 'content-type': 'text/html' });
+            return res.end(PAGE_FAILURE);
+        }
+
+        // Return the authorisation code, or the reason for failure
+        if (query.code) {
+            res.writeHead(200, { 'content-type': 'text/html' });
+            res.end(PAGE_SUCCESS);
+            if (this.resolve) this.resolve(query.code);
+        } else {
+            res.writeHead(400, { 'content-type': 'text/html' });
+            res.end(PAGE_FAILURE);
+            let reason = query.error_description || query.error
+                         || 'no authorisation code';
+            if (this.reject) {
+                this.reject(new Error('Authorisation failed: ' + reason));
+            }
+        }
+        delete this.resolve;
+        delete this.reject;
+    }
+}
+
+// Shared logging methods
+Object.assign(module.exports.prototype, Logging);
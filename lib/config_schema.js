@@ -6,6 +6,7 @@
 const HomeConnectLanguages = require('./homeconnect_languages.json');
 const Path = require('path');
 const fsPromises = require('fs').promises;
+const Logging = require('./logging.js');
 
 // Platform identifier (must match index.js)
 const PLATFORM_NAME = 'HomeConnect';
@@ -57,11 +58,18 @@ class ConfigSchema {
         this.writeSchema();
     }
 
-    // Update the list of accessories
-    async setAppliances(newAppliances) {
+    // The Home Connect endpoint being used for authorisation
+    async setEndpoint(endpoint) {
         await this.ready;
-        this.authorisation = true;
-        let appliances = {};
+        this.endpoint = endpoint;
+        this.writeSchema();
+    }
+
+    // Update the list of accessories (optionally retaining any others)
+    async setAppliances(newAppliances, complete = true) {
+        await this.ready;
+        if (typeof this.authorisation != 'string') this.authorisation = true;
+        let appliances = complete ? {} : Object.assign({}, this.appliances);
         for (let ha of newAppliances) {
             let appliance = Object.assign({}, this.appliances[ha.haId], ha);
             if (!appliance.programs) appliance.programs = [];
@@ -154,11 +162,128 @@ class ConfigSchema {
                 default:    false,
                 required:   true
             },
+            authflow: {
+                type:       'string',
+                oneOf: [{
+                    title:  'Device Flow',
+                    const:  'device'
+                },{
+                    title:  'Authorization Code Grant Flow',
+                    const:  'code'
+                }],
+                default:    'device'
+            },
+            clientsecret: {
+                type:       'string'
+            },
+            redirecturi: {
+                type:       'string',
+                pattern:    '^http://[^/]+:[0-9]+(/.*)?$'
+            },
+            scopes: {
+                type:       'array',
+                uniqueItems: true,
+                items: {
+                    type:       'string',
+                    pattern:    '^[A-Za-z]+(-[A-Za-z]+)?$'
+                }
+            },
             language: {
                 type:       'object',
                 properties: {
                     api:    this.getSchemaHomeConnectLanguages()
                 }
+            },
+            tokensecret: {
+                type:       'string'
+            },
+            eventstreams: {
+                type:       'integer',
+                minimum:    0,
+                maximum:    10,
+                default:    2
+            },
+            pollinterval: {
+                type:       'integer',
+                minimum:    60,
+                maximum:    24 * 60 * 60
+            },
+            commandexpiry: {
+                type:       'integer',
+                minimum:    1,
+                maximum:    24 * 60 * 60
+            },
+            proxy: {
+                type:       'string',
+                pattern:    '^https?://[^/]+'
+            },
+            noproxy: {
+                type:       'array',
+                items: {
+                    type:       'string'
+                }
+            },
+            cacerts: {
+                type:       'array',
+                items: {
+                    type:       'string'
+                }
+            },
+            imageport: {
+                type:       'integer',
+                minimum:    1,
+                maximum:    65535
+            },
+            imageretention: {
+                type:       'integer',
+                minimum:    1,
+                default:    7
+            },
+            endpoint: {
+                type:       'object',
+                properties: {
+                    name: {
+                        type:       'string',
+                        oneOf: [{
+                            title:  'Home Connect (global)',
+                            const:  'live'
+                        },{
+                            title:  'Home Connect China',
+                            const:  'china'
+                        },{
+                            title:  'Home Connect Simulator',
+                            const:  'simulator'
+                        }]
+                    },
+                    oauth: {
+                        type:       'string',
+                        pattern:    '^https?://[^/]+'
+                    },
+                    api: {
+                        type:       'string',
+                        pattern:    '^https?://[^/]+'
+                    },
+                    events: {
+                        type:       'string',
+                        pattern:    '^/'
+                    }
+                }
+            }
+        };
+        schema.accounts = {
+            type:       'array',
+            items: {
+                type:       'object',
+                properties: {
+                    name: {
+                        type:       'string'
+                    },
+                    clientid:       schema.clientid,
+                    authflow:       schema.authflow,
+                    clientsecret:   schema.clientsecret,
+                    redirecturi:    schema.redirecturi,
+                    scopes:         schema.scopes
+                }
             }
         };
         let form = [{
@@ -172,11 +297,46 @@ class ConfigSchema {
         },{
             key:            'clientid',
             title:          'Client ID',
-            description:    'Create an application via the <a href="https://developer.home-connect.com/applications">Home Connect Developer Program</a>, with <strong>OAuth Flow</strong> set to <strong>Device Flow</strong>.',
+            description:    'Create an application via the <a href="https://developer.home-connect.com/applications">Home Connect Developer Program</a>, with <strong>OAuth Flow</strong> set to match the <strong>Authorisation Flow</strong> selected below.',
             placeholder:    'e.g. 0123456789ABCDEF0123456789ABCDEF0123456789ABCDEF0123456789ABCDEF',
             condition: {
                 functionBody: 'return !model.simulator',
             }
+        },{
+            key:            'authflow',
+            title:          'Authorisation Flow',
+            condition: {
+                functionBody: 'return !model.simulator',
+            }
+        },{
+            key:            'clientsecret',
+            title:          'Client Secret',
+            description:    'Only required if the application has a client secret.',
+            condition: {
+                functionBody: 'return !model.simulator && model.authflow == "code"',
+            }
+        },{
+            key:            'redirecturi',
+            title:          'Redirect URI',
+            description:    'This must match the <strong>Redirect URI</strong> of the application. A web server is started on this port to receive the authorisation code.',
+            placeholder:    'http://localhost:47890/homeconnect',
+            condition: {
+                functionBody: 'return !model.simulator && model.authflow == "code"',
+            }
+        },{
+            key:            'scopes',
+            title:          'Additional Scopes',
+            description:    'Scopes that require a <a href="https://github.com/thoukydides/homebridge-homeconnect/wiki/Scopes">partner agreement</a> with Home Connect, such as <code>Oven-Control</code>, <code>Hob-Control</code>, or <code>FridgeFreezer-Images</code>. Only add scopes that have been enabled for this application. Changing these requires re-authorisation.',
+            type:           'array',
+            expandable:     true,
+            expanded:       false,
+            items: [{
+                key:            'scopes[]',
+                placeholder:    'e.g. Oven-Control'
+            }],
+            condition: {
+                functionBody: 'return !model.simulator && model.clientid',
+            }
         },{
             key:            'clientid',
             title:          'Client ID',
@@ -192,6 +352,149 @@ class ConfigSchema {
             condition: {
                 functionBody: 'return !model.simulator && model.clientid',
             }
+        },{
+            key:            'accounts',
+            title:          'Additional Home Connect Accounts',
+            description:    'Appliances registered to other Home Connect accounts can be added using a separate application (and Client ID) for each account.',
+            type:           'array',
+            expandable:     true,
+            expanded:       false,
+            items: [{
+                key:            'accounts[].name',
+                title:          'Account Name',
+                placeholder:    'e.g. Holiday Home'
+            },{
+                key:            'accounts[].clientid',
+                title:          'Client ID'
+            },{
+                key:            'accounts[].authflow',
+                title:          'Authorisation Flow'
+            },{
+                key:            'accounts[].clientsecret',
+                title:          'Client Secret'
+            },{
+                key:            'accounts[].redirecturi',
+                title:          'Redirect URI'
+            },{
+                key:            'accounts[].scopes',
+                title:          'Additional Scopes',
+                type:           'array',
+                items: [{
+                    key:            'accounts[].scopes[]',
+                    placeholder:    'e.g. Oven-Control'
+                }]
+            }],
+            condition: {
+                functionBody: 'return !model.simulator && model.clientid',
+            }
+        },{
+            key:            'tokensecret',
+            title:          'Token Encryption Secret',
+            description:    'Saved authorisation tokens are encrypted using a key derived from this secret. If left blank then a key file in the Homebridge storage directory is used instead. Changing this requires re-authorisation unless the previous key is still available.',
+            condition: {
+                functionBody: 'return model.clientid',
+            }
+        },{
+            key:            'eventstreams',
+            title:          'Per-Appliance Events Streams',
+            description:    'Maximum number of separate events streams to use for individual appliances when the combined events stream is failing or not delivering their events. Set to 0 to only use the combined events stream.',
+            condition: {
+                functionBody: 'return !model.simulator && model.clientid',
+            }
+        },{
+            key:            'pollinterval',
+            title:          'Polling Interval (seconds)',
+            description:    'Poll the state of each appliance at this interval while its events stream is unavailable. The interval is increased automatically if necessary to use no more than half of the daily API quota. Leave blank to disable polling.',
+            placeholder:    'e.g. 600',
+            condition: {
+                functionBody: 'return model.clientid',
+            }
+        },{
+            key:            'commandexpiry',
+            title:          'Queue Changes While Disconnected (seconds)',
+            description:    'Changes made via HomeKit while an appliance is disconnected are queued and applied in order when it reconnects, unless they have been queued for longer than this. A Pending Changes switch is shown while changes are queued; switch it off to discard them. Leave blank to reject changes immediately.',
+            placeholder:    'e.g. 900',
+            condition: {
+                functionBody: 'return model.clientid',
+            }
+        },{
+            key:            'endpoint',
+            title:          'Home Connect Endpoint',
+            description:    'Only change these for a regional Home Connect deployment or a local stand-in server. Any URLs specified override those of the selected endpoint.',
+            type:           'fieldset',
+            expandable:     true,
+            expanded:       false,
+            items: [{
+                key:            'endpoint.name',
+                title:          'Endpoint',
+                placeholder:    'Home Connect (global)'
+            },{
+                key:            'endpoint.oauth',
+                title:          'OAuth URL',
+                placeholder:    'e.g. https://api.home-connect.com'
+            },{
+                key:            'endpoint.api',
+                title:          'API URL',
+                placeholder:    'e.g. https://api.home-connect.com'
+            },{
+                key:            'endpoint.events',
+                title:          'Events Path',
+                placeholder:    '/api/homeappliances/events'
+            }],
+            condition: {
+                functionBody: 'return model.clientid',
+            }
+        },{
+            key:            'proxy',
+            title:          'Proxy Server',
+            description:    'HTTP or HTTPS proxy used for all Home Connect requests, including authorisation and the events stream. Credentials can be included in the URL.',
+            placeholder:    'e.g. http://proxy.example.com:3128',
+            condition: {
+                functionBody: 'return model.clientid',
+            }
+        },{
+            key:            'noproxy',
+            title:          'Proxy Exclusions',
+            description:    'Host names (optionally with a port number) that should be accessed directly instead of via the proxy. Subdomains of each host name are also excluded.',
+            type:           'array',
+            expandable:     true,
+            expanded:       false,
+            items: [{
+                key:            'noproxy[]',
+                placeholder:    'e.g. .example.com'
+            }],
+            condition: {
+                functionBody: 'return model.clientid && model.proxy',
+            }
+        },{
+            key:            'cacerts',
+            title:          'Additional CA Certificates',
+            description:    'PEM files containing CA certificates to trust in addition to the standard ones, e.g. for a proxy that intercepts HTTPS traffic. Relative paths are resolved from the Homebridge storage directory.',
+            type:           'array',
+            expandable:     true,
+            expanded:       false,
+            items: [{
+                key:            'cacerts[]',
+                placeholder:    'e.g. /etc/ssl/certs/proxy-ca.pem'
+            }],
+            condition: {
+                functionBody: 'return model.clientid',
+            }
+        },{
+            key:            'imageport',
+            title:          'Camera Image Port',
+            description:    'Serve the images downloaded from appliance cameras on this port of the local network. Downloading images requires the <code>FridgeFreezer-Images</code> scope.',
+            placeholder:    'e.g. 8583',
+            condition: {
+                functionBody: 'return model.clientid',
+            }
+        },{
+            key:            'imageretention',
+            title:          'Camera Image Retention (days)',
+            description:    'Length of time to keep downloaded camera images. The images from the most recent capture are always kept.',
+            condition: {
+                functionBody: 'return model.clientid',
+            }
         }];
         return {
             schema: schema,
@@ -201,6 +504,9 @@ class ConfigSchema {
 
     // Construct any authorisation help to include in the schema
     getSchemaAuthorisation() {
+        let endpoint = this.endpoint
+            ? '<p>Using the Home Connect endpoint <code>' + this.endpoint
+              + '</code>.</p>' : '';
         if (this.authorisation === true) {
 
             // Authorisation complete
@@ -211,7 +517,7 @@ class ConfigSchema {
             // Authorisation is required via the provided URI
             return {
                 type:       'help',
-                helpvalue:  '<em class="primary-text">AUTHORISATION REQUIRED</em><br>To authorise this plugin to access your Home Connect appliances please visit:<div align=center><a href="' + this.authorisation + '">' + this.authorisation + '</a></div>'
+                helpvalue:  '<em class="primary-text">AUTHORISATION REQUIRED</em><br>To authorise this plugin to access your Home Connect appliances please visit:<div align=center><a href="' + this.authorisation + '">' + this.authorisation + '</a></div>' + endpoint
             };
 
         } else {
@@ -219,7 +525,7 @@ class ConfigSchema {
             // Not authorised, so warn if using physical appliances
             return {
                 type:       'help',
-                helpvalue:  '<p>This plugin requires authorisation to access Home Connect appliances.</p><p>The authorisation link will appear here (and in the Homebridge log file) after the Client ID has been configured and the plugin started.</p>',
+                helpvalue:  '<p>This plugin requires authorisation to access Home Connect appliances.</p><p>The authorisation link will appear here (and in the Homebridge log file) after the Client ID has been configured and the plugin started.</p>' + endpoint,
                 condition: {
                     functionBody: 'return !model.simulator && model.clientid',
                 }
@@ -619,6 +925,7 @@ class ConfigSchema {
         if (this.persist) {
             await this.persist.setItem('config.schema.json', {
                 authorisation:  this.authorisation,
+                endpoint:       this.endpoint,
                 appliances:     this.appliances
             });
         }
@@ -640,13 +947,10 @@ class ConfigSchema {
                       + err.message);
         }
     }
-
-    // Logging
-    error(msg)  { this.logRaw ? this.logRaw.error(msg) : console.error(msg); }
-    warn(msg)   { this.logRaw ? this.logRaw.warn(msg)  : console.warn(msg);  }
-    log(msg)    { this.logRaw ? this.logRaw.info(msg)  : console.log(msg);   }
-    debug(msg)  { this.logRaw ? this.logRaw.debug(msg) : console.debug(msg); }
 }
+
+// Shared logging methods
+Object.assign(ConfigSchema.prototype, Logging);
 module.exports = ConfigSchema;
 
 // If this script is being run interactively then generate the default schema
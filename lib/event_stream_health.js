@@ -0,0 +1,144 @@
+// Homebridge plugin for Home Connect home appliances
+// Copyright © 2019-2020 Alexander Thoukydides
+
+'use strict';
+
+const MS = 1000;
+
+// Reconnection delays (exponential backoff with jitter)
+const BACKOFF_INITIAL = 5;          // (seconds)
+const BACKOFF_MAXIMUM = 10 * 60;    // (seconds)
+
+// Consecutive failures of the combined stream before it is considered down
+const DOWN_FAILURES = 3;
+
+// Time a stream must remain connected before its failure count is reset
+const HEALTHY_PERIOD = 5 * 60;      // (seconds)
+
+// Delay before reporting a change of state (to ignore brief reconnections)
+const REPORT_DELAY = 15;            // (seconds)
+
+// Number of recent failure reasons to retain
+const MAX_REASONS = 10;
+
+// Key used for the combined events stream for all appliances
+const COMBINED = 'all appliances';
+
+// Health of the Home Connect events streams
+class EventStreamHealth {
+
+    // Create a new health monitor
+    constructor(callbackReport) {
+        this.callbackReport = callbackReport;
+        this.streams = {};
+        this.reasons = [];
+        this.state = 'down';
+        this.since = Date.now();
+    }
+
+    // A stream has been successfully established
+    connected(key = COMBINED) {
+        this.getStream(key).connected = Date.now();
+        this.update();
+    }
+
+    // A stream has failed, returning the delay before it should be retried
+    failed(key = COMBINED, err) {
+        let stream = this.getStream(key);
+        if (this.isHealthy(key)) stream.failures = 0;
+        delete stream.connected;
+        ++stream.failures;
+
+        // Remember the reason for the failure
+        this.reasons.push({
+            time:   Date.now(),
+            stream: key,
+            reason: err.message
+        });
+        if (MAX_REASONS < this.reasons.length) this.reasons.shift();
+        this.update();
+
+        // Exponential backoff with equal jitter
+        let backoff = Math.min(BACKOFF_INITIAL * Math.pow(2, stream.failures - 1),
+                               BACKOFF_MAXIMUM) * MS;
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+
+    // A stream has terminated without error
+    disconnected(key = COMBINED) {
+        delete this.getStream(key).connected;
+        this.update();
+    }
+
+    // A stream is no longer required
+    remove(key) {
+        delete this.streams[key];
+        this.update();
+    }
+
+    // Number of consecutive failures of a stream
+    failures(key = COMBINED) {
+        return this.isHealthy(key) ? 0 : this.getStream(key).failures;
+    }
+
+    // Time for which a stream has been connected (or 0 if not connected)
+    connectedFor(key = COMBINED) {
+        let connected = this.getStream(key).connected;
+        return connected ? Date.now() - connected : 0;
+    }
+
+    // Check whether a stream has been connected long enough to be healthy
+    isHealthy(key = COMBINED) {
+        return HEALTHY_PERIOD * MS <= this.connectedFor(key);
+    }
+
+    // Summarise the current health
+    summary() {
+        return {
+            state:      this.state,
+            since:      this.since,
+            failures:   this.failures(),
+            appliances: this.connectedAppliances(),
+            reasons:    this.reasons.slice()
+        };
+    }
+
+    // Appliances with their own connected stream
+    connectedAppliances() {
+        return Object.keys(this.streams).filter(key => key != COMBINED
+                                                && this.streams[key].connected);
+    }
+
+    // Retrieve (or create) the state of a stream
+    getStream(key) {
+        let stream = this.streams[key];
+        if (!stream) stream = this.streams[key] = { failures: 0 };
+        return stream;
+    }
+
+    // Update the overall state and schedule a report of any change
+    update() {
+        let combined = this.getStream(COMBINED);
+        let state = 'down';
+        if (combined.connected) state = 'connected';
+        else if (this.connectedAppliances().length
+                 || combined.failures < DOWN_FAILURES) {
+            state = 'degraded';
+        }
+        if (state != this.state) {
+            this.state = state;
+            this.since = Date.now();
+        }
+
+        // Only report the state once it has been stable for a while
+        clearTimeout(this.reportScheduled);
+        if (this.state == this.reported) return;
+        this.reportScheduled = setTimeout(() => {
+            this.reported = this.state;
+            this.callbackReport(this.summary());
+        }, this.reported === undefined ? 0 : REPORT_DELAY * MS);
+    }
+}
+
+module.exports = EventStreamHealth;
+module.exports.COMBINED = COMBINED;
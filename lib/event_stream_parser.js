@@ -0,0 +1,96 @@
+// Homebridge plugin for Home Connect home appliances
+// Copyright © 2019-2020 Alexander Thoukydides
+
+'use strict';
+
+const { StringDecoder } = require('string_decoder');
+
+// Incremental parser for a server-sent events (text/event-stream) stream
+// (see https://html.spec.whatwg.org/multipage/server-sent-events.html)
+module.exports = class EventStreamParser {
+
+    // Create a new parser
+    constructor(callbackEvent, callbackComment) {
+        this.callbackEvent = callbackEvent;
+        this.callbackComment = callbackComment || (() => {});
+        this.lastEventId = '';
+        this.retry = undefined;
+        this.reset();
+    }
+
+    // Discard any partially received event, e.g. when reconnecting
+    reset() {
+        this.decoder = new StringDecoder('utf8');
+        this.buffer = '';
+        this.discardLF = false;
+        this.eventType = '';
+        this.data = [];
+        this.id = undefined;
+    }
+
+    // Process a chunk of received data (which may end mid-line)
+    write(chunk) {
+        let text = typeof chunk == 'string' ? chunk : this.decoder.write(chunk);
+
+        // A CR at the end of the previous chunk may be part of a CRLF pair
+        if (this.discardLF && text.startsWith('\n')) text = text.substring(1);
+        this.discardLF = text.endsWith('\r');
+
+        // Process all complete lines, retaining any partial line
+        let lines = (this.buffer + text).split(/\r\n|\r|\n/);
+        this.buffer = lines.pop();
+        for (let line of lines) this.processLine(line);
+    }
+
+    // Process a single line
+    processLine(line) {
+        // A blank line dispatches the event
+        if (!line.length) return this.dispatch();
+
+        // Lines starting with a colon are comments
+        if (line.startsWith(':')) return this.callbackComment(line);
+
+        // Otherwise split into a field name and value
+        let colon = line.indexOf(':');
+        let field = colon < 0 ? line : line.substring(0, colon);
+        let value = colon < 0 ? '' : line.substring(colon + 1);
+        if (value.startsWith(' ')) value = value.substring(1);
+        switch (field) {
+        case 'event':
+            this.eventType = value;
+            break;
+        case 'data':
+            this.data.push(value);
+            break;
+        case 'id':
+            if (!value.includes('\0')) this.id = value;
+            break;
+        case 'retry':
+            if (/^\d+$/.test(value)) this.retry = parseInt(value, 10);
+            break;
+        default:
+            // Unknown fields are ignored
+            break;
+        }
+    }
+
+    // Dispatch the event that has been received
+    // (the id is only included if set by this event, since Home Connect uses
+    // it to identify the appliance, but is remembered for reconnection)
+    dispatch() {
+        if (this.id !== undefined) this.lastEventId = this.id;
+        let event = {
+            event:  this.eventType || 'message',
+            data:   this.data.join('\n'),
+            id:     this.id
+        };
+        let haveEvent = this.eventType || this.data.length;
+        this.eventType = '';
+        this.data = [];
+        this.id = undefined;
+
+        // Home Connect uses events without any data (e.g. KEEP-ALIVE) so,
+        // unlike a browser, only discard events without a type or data
+        if (haveEvent) this.callbackEvent(event);
+    }
+}
@@ -0,0 +1,52 @@
+// Homebridge plugin for Home Connect home appliances
+// Copyright © 2019-2020 Alexander Thoukydides
+
+'use strict';
+
+// Indicate changes queued while the appliance is disconnected
+module.exports = {
+    name: 'HasCommandQueue',
+
+    // Initialise the mixin
+    init() {
+        // Shortcuts to useful HAP objects
+        const Service = this.homebridge.hap.Service;
+        const Characteristic = this.homebridge.hap.Characteristic;
+
+        // Remove the Switch service if changes are not being queued
+        let subtype = 'pending';
+        let service =
+            this.accessory.getServiceByUUIDAndSubType(Service.Switch, subtype);
+        if (!this.device.api.commandExpiry) {
+            if (service) this.accessory.removeService(service);
+            return;
+        }
+
+        // Create a Switch service that is on while changes are queued
+        this.pendingService = service
+            || this.accessory.addService(Service.Switch,
+                                         'Pending Changes', subtype);
+        this.pendingService.updateCharacteristic(Characteristic.On, false);
+
+        // Switching off discards any queued changes
+        this.pendingService.getCharacteristic(Characteristic.On)
+            .on('set', this.callbackify(async value => {
+                if (value) {
+                    // Changes can only be queued by making them
+                    setTimeout(() => this.pendingService.updateCharacteristic(
+                        Characteristic.On,
+                        0 < this.device.commandQueue.length));
+                } else {
+                    this.log('SET Discard pending changes');
+                    this.device.discardCommands();
+                }
+            }));
+
+        // Update the status
+        this.device.on('commands_pending', count => {
+            this.log(count ? count + ' pending changes' : 'No pending changes');
+            this.pendingService.updateCharacteristic(Characteristic.On,
+                                                     0 < count);
+        });
+    }
+}
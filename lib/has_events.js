@@ -49,6 +49,8 @@ module.exports = {
 
             // Update the status
             this.device.on(event, item => {
+                // Never trigger events from saved appliance state
+                if (item.stale) return;
                 switch (item.value) {
                 case 'BSH.Common.EnumType.EventPresentState.Present':
                 case 'BSH.Common.EnumType.DoorState.Open':
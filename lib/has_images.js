@@ -0,0 +1,54 @@
+// Homebridge plugin for Home Connect home appliances
+// Copyright © 2019-2020 Alexander Thoukydides
+
+'use strict';
+
+// Delay after the door closes before checking for new camera images
+const IMAGE_UPDATE_DELAY = 60; // (seconds)
+
+// Multiplier to convert seconds to milliseconds
+const MS = 1000;
+
+// Download images from an appliance's cameras (if the scope is authorised)
+module.exports = {
+    name: 'HasImages',
+
+    // Initialise the mixin
+    init() {
+        // Check for new images when the appliance connects
+        this.device.on('connected', item => {
+            if (item.value) this.updateImages();
+        });
+
+        // The cameras capture new images when the refrigerator door closes
+        this.device.on('Refrigeration.Common.Status.Door.Refrigerator',
+                       item => {
+            clearTimeout(this.imagesScheduled);
+            if (!item.stale && item.value
+                == 'Refrigeration.Common.EnumType.Door.States.Closed') {
+                this.imagesScheduled = setTimeout(() => this.updateImages(),
+                                                  IMAGE_UPDATE_DELAY * MS);
+            }
+        });
+    },
+
+    // Download any new images
+    async updateImages() {
+        // Images require a partner agreement, so silently skip otherwise
+        if (!this.device.hasScope('Images')) return;
+
+        // Defer checking for new images if low on API quota
+        if (this.device.api.isQuotaLow()) {
+            return this.debug('Deferring update of camera images'
+                              + ' to conserve API quota');
+        }
+
+        try {
+            let images = await this.device.updateImages();
+            this.debug(images.length + ' camera images available');
+        } catch (err) {
+            // (the error has already been reported by the device)
+            this.debug('Unable to update camera images: ' + err.message);
+        }
+    }
+}
@@ -32,8 +32,10 @@ module.exports = {
 
         // Update the cache of programs supported by this appliance
         await this.initPrograms();
-        this.device.on('BSH.Common.Root.SelectedProgram',
-                       item => this.updateSelectedProgram(item.value));
+        this.device.on('BSH.Common.Root.SelectedProgram', item => {
+            // (restored state does not indicate a change of program)
+            if (!item.stale) this.updateSelectedProgram(item.value);
+        });
 
         // Add the appropriate services depending on the configuration
         let config = this.config.programs;
@@ -78,6 +80,13 @@ module.exports = {
 
     // Refresh details of all programs
     async refreshPrograms(active = false) {
+        // Defer actively reading programs if low on API quota
+        if (active && this.device.api.isQuotaLow()) {
+            this.debug('Deferring active read of program options'
+                       + ' to conserve API quota');
+            active = false;
+        }
+
         try {
             // Read the list of all supported programs
             let all = await this.getCached('programs',
@@ -434,7 +443,7 @@ module.exports = {
         };
         if (programs.length && !this.device.hasScope('Control')) {
             // Control of this appliance has not been authorised
-            this.warn('Programs cannot be controlled without Control scope');
+            this.debug('Programs cannot be controlled without Control scope');
             allowWrite(false);
         } else {
             allowWrite(true);
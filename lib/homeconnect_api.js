@@ -3,23 +3,53 @@
 
 'use strict';
 
+const HomeConnectQuota = require('./homeconnect_quota.js');
+const RequestQueue = require('./request_queue.js');
+const RequestRecording = require('./request_recording.js');
+const EventStreamParser = require('./event_stream_parser.js');
+const EventStreamHealth = require('./event_stream_health.js');
+const AuthRedirectListener = require('./auth_redirect_listener.js');
+const NetworkOptions = require('./network_options.js');
+const NetworkMonitor = require('./network_monitor.js');
+const { HomeConnectError, NetworkError, AuthError, RateLimitError,
+        RequestCancelledError,
+        fromAPIError } = require('./homeconnect_errors.js');
+const Logging = require('./logging.js');
 const EventEmitter = require('events');
 const request = require('request');
 const requestPromise = require('request-promise-native');
 const url = require('url');
 const querystring = require('querystring');
+const crypto = require('crypto');
 
 // User-Agent header
 const NAME       = require('../package.json').name;
 const VERSION    = require('../package.json').version;
 const USER_AGENT = NAME + '/' + VERSION;
 
-// URLs for the Home Connect API
-const URL_LIVE = 'https://api.home-connect.com';
-const URL_SIMULATOR = 'https://simulator.home-connect.com';
+// Endpoints for the Home Connect API (OAuth and API hosts, and events path)
+const EVENTS_PATH = '/api/homeappliances/events';
+const ENDPOINTS = {
+    live: {
+        oauth:  'https://api.home-connect.com',
+        api:    'https://api.home-connect.com',
+        events: EVENTS_PATH
+    },
+    china: {
+        oauth:  'https://api.home-connect.cn',
+        api:    'https://api.home-connect.cn',
+        events: EVENTS_PATH
+    },
+    simulator: {
+        oauth:  'https://simulator.home-connect.com',
+        api:    'https://simulator.home-connect.com',
+        events: EVENTS_PATH
+    }
+};
 
 // Scopes to request; an additional Partner Agreement is required for:
 //   Hob-Control, Oven-Control, and FridgeFreezer-Images
+// (these can be added using the scopes option if the agreement is in place)
 const SCOPES = ['IdentifyAppliance', 'Monitor', 'Settings',
                 'CleaningRobot-Control', 'CoffeeMaker-Control',
                 'CookProcessor-Control','Dishwasher-Control', 'Dryer-Control',
@@ -28,19 +58,27 @@ const SCOPES = ['IdentifyAppliance', 'Monitor', 'Settings',
                 'WineCooler-Control'];
 
 // Expanded help text for problems with the Client ID
+// (either a single string, or separate strings for each authFlow)
 const CLIENT_HELP_PREFIX1 = 'Unable to authorise Home Connect application; ';
 const CLIENT_HELP_PREFIX2 = '. Visit https://developer.home-connect.com/applications to ';
 const CLIENT_HELP_EXTRA = {
     'request rejected by client authorization authority (developer portal)':
         'register an application and then copy its Client ID.',
-    'client not authorized for this oauth flow (grant_type)':
-        "register a new application, ensuring that the 'OAuth Flow' is set to 'Device Flow' (this setting cannot be changed after the application has been created).",
+    'client not authorized for this oauth flow (grant_type)': {
+        device:
+            "register a new application, ensuring that the 'OAuth Flow' is set to 'Device Flow' (this setting cannot be changed after the application has been created).",
+        code:
+            "register a new application, ensuring that the 'OAuth Flow' is set to 'Authorization Code Grant Flow' and the 'Redirect URI' matches the redirecturi option (the flow cannot be changed after the application has been created)."
+    },
     'client has no redirect URI defined':
         "edit the application (or register a new one) to set a 'Success Redirect' web page address.",
     'client has limited user list - user not assigned to client':
         "edit the application (or register a new one) to set the 'Home Connect User Account for Testing' to match the one being authorised."
 };
 
+// Default redirect URI for the Authorization Code Grant Flow
+const REDIRECT_URI_DEFAULT = 'http://localhost:47890/homeconnect';
+
 // Interval between authorisation retries
 const AUTH_RETRY_DELAY    = 60; // (seconds)
 const REFRESH_RETRY_DELAY = 5;  // (seconds)
@@ -48,12 +86,37 @@ const REFRESH_RETRY_DELAY = 5;  // (seconds)
 // Time before expiry of access token to request refresh
 const TOKEN_REFRESH_WINDOW = 60 * 60; // (seconds)
 
+// Difference from the server's clock that is worth reporting
+const CLOCK_SKEW_WARNING = 60; // (seconds)
+
+// Maximum number of concurrent home appliances API requests
+const MAX_CONCURRENT_REQUESTS = 3;
+
+// Result of a queued request that needs to wait (without its queue slot)
+const RETRY = Symbol('retry');
+
 // Request timeouts (affects both connection and reads)
 const REQUEST_TIMEOUT = 20; // (seconds)
 const EVENT_TIMEOUT   = 2 * 60; // (seconds, must be > 55 second keep-alive)
 
+// Fallback to per-appliance events streams when the combined stream fails
+const EVENT_STREAMS_DEFAULT = 2;       // Default maximum per-appliance streams
+const EVENT_FALLBACK_FAILURES = 3;     // Consecutive combined stream failures
+const EVENT_FALLBACK_SILENCE = 30 * 60;// (seconds without appliance events)
+const EVENT_CHECK_INTERVAL = 60;       // (seconds)
+
+// Polling of appliance state while events streams are unavailable
+const POLL_INTERVAL_MINIMUM = 60;      // (seconds)
+const POLL_QUOTA_FRACTION = 0.5;       // Share of the daily quota for polling
+const POLL_QUOTA_PERIOD = 24 * 60 * 60;// (seconds)
+
 const MS = 1000;
                   
+// Milliseconds from a monotonic clock (unaffected by changes to the time)
+function monotonicNow() {
+    return Number(process.hrtime.bigint() / 1000000n);
+}
+
 // Low-level access to the Home Connect API
 module.exports = class HomeConnectAPI extends EventEmitter {
 
@@ -64,24 +127,81 @@ module.exports = class HomeConnectAPI extends EventEmitter {
         // Store the options, applying defaults for missing options
         this.clientID  = options.clientID;
         this.simulator = options.simulator || false;
+        this.endpointConfig = options.endpoint;
+        this.authFlow  = options.authFlow  || 'device';
+        this.clientSecret = options.clientSecret;
+        this.redirectURI  = options.redirectURI || REDIRECT_URI_DEFAULT;
+        this.extraScopes  = options.scopes || [];
         this.savedAuth = options.savedAuth || {};
+        this.tokenStore = options.tokenStore;
+        this.imageCache = options.imageCache;
         this.language  = options.language  || 'en-GB';
+        this.eventStreams = options.eventStreams === undefined
+                            ? EVENT_STREAMS_DEFAULT : options.eventStreams;
+        this.pollInterval = options.pollInterval
+                            && Math.max(options.pollInterval,
+                                        POLL_INTERVAL_MINIMUM);
+        this.pollingAppliances = new Set();
+        this.commandExpiry = options.commandExpiry;
 
         // Logging
         this.logRaw = options.log;
         this.requestCount = 0;
 
-        // Select the appropriate API and scopes
-        this.url    = this.simulator ? URL_SIMULATOR : URL_LIVE;
-        this.scopes = SCOPES;
+        // Proxy and TLS options shared by all requests
+        this.network = options.network || new NetworkOptions(this.logRaw);
+
+        // Record or replay requests, if enabled
+        if (options.replay) {
+            this.recording = new RequestRecording(this.logRaw, 'replay',
+                                                  options.replay);
+            // (use a dummy access token instead of the real one)
+            this.savedAuth = { [this.clientID]: {
+                accessToken:    'REPLAY',
+                accessExpires:  Date.now() + 7 * 24 * 60 * 60 * MS
+            } };
+        } else if (options.record) {
+            this.recording = new RequestRecording(this.logRaw, 'record',
+                                                  options.record);
+        }
+
+        // Select the appropriate API and scopes (replaced by those granted)
+        this.endpoint = this.getEndpoint();
+        this.requestedScopes = SCOPES.concat(this.extraScopes.filter(
+            scope => !SCOPES.includes(scope)));
+        this.scopes = this.requestedScopes;
+        let description = 'Using Home Connect endpoint '
+                          + this.describeEndpoint();
+        if (this.endpoint.name == 'custom') this.warn(description);
+        else                                this.log(description);
+
+        // Detect network-wide outages (and notify the appliances)
+        this.networkMonitor = new NetworkMonitor(this.logRaw,
+                                                 this.endpoint.api,
+                                                 this.network);
+        this.networkMonitor.on('offline', () => this.emit('offline'))
+                           .on('online',  () => this.emit('online'));
+        this.setMaxListeners(0); // (every appliance listens for these)
 
         // Pending promises
         this.authResolve = [];
         this.sleepReject = {};
         this.streamAbort = {};
 
+        // Offset of the local clock from the Home Connect servers' clock
+        this.clockOffset = 0;
+        this.clockOffsetReported = 0;
+
         // Rate limiting
         this.earliestRetry = Date.now();
+        this.queue = new RequestQueue(msg => this.debug(msg),
+                                      MAX_CONCURRENT_REQUESTS);
+        this.pendingReads = {};
+
+        // Daily quota accounting
+        this.quota = new HomeConnectQuota(this.logRaw, options.persist,
+                                          'API quota ' + this.clientID);
+        this.quota.load();
 
         // Obtain and maintain an access token
         this.authoriseClient();
@@ -271,17 +391,116 @@ module.exports = class HomeConnectAPI extends EventEmitter {
             }
         });
     }
+
+    // Get a list of the images from the appliance's cameras
+    async getImages(haid) {
+        let data = await this.requestAppliances('GET', haid, '/images');
+        return data && data.images;
+    }
+
+    // Download a specific image (returned as a Buffer)
+    getImage(haid, imageKey) {
+        let options = {
+            method:   'GET',
+            url:      this.endpoint.api + '/api/homeappliances/' + haid
+                      + '/images/' + imageKey,
+            timeout:  REQUEST_TIMEOUT * MS,
+            encoding: null,
+            headers: {
+                'user-agent':       USER_AGENT,
+                accept:             'image/jpeg',
+                'accept-language':  this.language
+            }
+        };
+        return this.requestAppliancesRetry(RequestQueue.PRIORITY_READ, haid,
+                                           options);
+    }
+
+    // Download any new camera images to the image cache
+    async updateImages(haid) {
+        if (!this.imageCache) return [];
+        let images = await this.getImages(haid) || [];
+        for (let image of images) {
+            if (await this.imageCache.has(haid, image.imagekey)) continue;
+            let data = await this.getImage(haid, image.imagekey);
+            await this.imageCache.save(haid, image, data);
+        }
+        await this.imageCache.prune(haid);
+        return images;
+    }
     
+    // Select and validate the Home Connect endpoint
+    // (a named endpoint, with any URLs specified overriding its own)
+    getEndpoint() {
+        let config = this.endpointConfig || {};
+        let name = config.name || (this.simulator ? 'simulator' : 'live');
+        let preset = ENDPOINTS[name];
+        if (!preset) {
+            throw new Error("Unknown Home Connect endpoint '" + name
+                            + "'; expected one of: "
+                            + Object.keys(ENDPOINTS).join(', '));
+        }
+
+        // Check any overridden URLs
+        let endpoint = Object.assign({ name: name }, preset);
+        for (let key of ['oauth', 'api']) {
+            if (!config[key]) continue;
+            let parsed = url.parse(config[key]);
+            if (!['http:', 'https:'].includes(parsed.protocol)
+                || !parsed.hostname) {
+                throw new Error('Home Connect endpoint ' + key + " URL '"
+                                + config[key] + "' is not an http: or"
+                                + ' https: URL');
+            }
+            endpoint[key] = config[key].replace(/\/+$/, '');
+            endpoint.name = 'custom';
+        }
+        if (config.events) {
+            if (!config.events.startsWith('/')) {
+                throw new Error("Home Connect endpoint events path '"
+                                + config.events + "' must start with '/'");
+            }
+            endpoint.events = config.events;
+            endpoint.name = 'custom';
+        }
+        return endpoint;
+    }
+
+    // Describe the Home Connect endpoint being used
+    describeEndpoint() {
+        let endpoint = this.endpoint;
+        let description = endpoint.name + ' (';
+        if (endpoint.oauth != endpoint.api) {
+            description += 'OAuth ' + endpoint.oauth + ', API ';
+        }
+        description += endpoint.api;
+        if (endpoint.events != EVENTS_PATH) {
+            description += ', events ' + endpoint.events;
+        }
+        return description + ')';
+    }
+
     // Obtain and maintain an access token
     async authoriseClient() {
         while (true) {
             try {
                 
+                // Reauthorise if different scopes are now being requested
+                let saved = this.savedAuth[this.clientID];
+                if (saved && !this.isSameScopes(saved.requestedScopes
+                                                || saved.scopes)) {
+                    this.warn('Requested scopes have changed; Home Connect'
+                              + ' re-authorisation is required');
+                    delete this.savedAuth[this.clientID];
+                }
+
                 // authorise this client if there is no saved authorisation
                 if (!this.savedAuth[this.clientID]) {
                     let token = await (this.simulator
-                                       ? this.authCodeGrantFlow()
-                                       : this.authDeviceFlow());
+                                       ? this.authSimulatorFlow()
+                                       : (this.authFlow == 'code'
+                                          ? this.authCodeGrantFlow()
+                                          : this.authDeviceFlow()));
                     this.tokenSave(token);
                 } else if (this.savedAuth[this.clientID].scopes) {
                     this.scopes = this.savedAuth[this.clientID].scopes;
@@ -292,7 +511,7 @@ module.exports = class HomeConnectAPI extends EventEmitter {
 
                     // Check the validity of the current access token
                     let auth = this.savedAuth[this.clientID];
-                    let refreshIn = auth.accessExpires - Date.now()
+                    let refreshIn = this.accessValidFor(auth)
                                     - TOKEN_REFRESH_WINDOW * MS;
                     if (auth.accessToken && 0 < refreshIn) {
                         
@@ -301,17 +520,29 @@ module.exports = class HomeConnectAPI extends EventEmitter {
                         this.authResolve = [];
                     
                         // Delay before refreshing the access token
+                        // (unless the server rejects it before then)
                         this.debug('Refreshing access token in '
                                    + Math.floor(refreshIn / MS) + ' seconds');
-                        await this.sleep(refreshIn, 'refresh');
+                        try {
+                            await this.sleep(refreshIn, 'refresh');
+                        } catch (err) {
+                            if (!this.refreshEarly) throw err;
+                        }
                     }
+                    delete this.refreshEarly;
 
                     // Refresh the access token
-                    let token = await this.tokenRefresh(auth.refreshToken);
-                    this.tokenSave(token);
+                    await this.tokenRefreshShared(auth);
                 }
                 
             } catch (err) {
+
+                // Wait for connectivity to be restored after a network outage
+                // (keeping the access token, which may still be valid)
+                if (err instanceof NetworkError && this.isOffline()) {
+                    await this.waitOnline();
+                    continue;
+                }
                 
                 // Discard any access token and report the error
                 this.tokenInvalidate();
@@ -331,7 +562,7 @@ module.exports = class HomeConnectAPI extends EventEmitter {
     waitUntilAuthorised() {
         // Resolve immediately if already authorised, otherwise add to queue
         let auth = this.savedAuth[this.clientID];
-        if (auth && auth.accessToken && Date.now() < auth.accessExpires) {
+        if (auth && auth.accessToken && 0 < this.accessValidFor(auth)) {
             return Promise.resolve();
         } else {
             return new Promise(resolve => this.authResolve.push(resolve));
@@ -362,6 +593,26 @@ module.exports = class HomeConnectAPI extends EventEmitter {
         return false;
     }
 
+    // Check whether a list of scopes matches those being requested
+    // (a saved token without any list of scopes is assumed to match)
+    isSameScopes(scopes) {
+        if (!scopes) return true;
+        return scopes.length == this.requestedScopes.length
+               && this.requestedScopes.every(scope => scopes.includes(scope));
+    }
+
+    // Scope required for a Home Connect API request
+    getRequiredScope(options) {
+        let path = url.parse(options.url).pathname.replace(/\/+$/, '');
+        let parts = path.split('/').slice(3);
+        if (parts[0] == 'events') return 'Monitor';
+        let collection = parts[1];
+        if (collection === undefined) return 'IdentifyAppliance';
+        if (collection == 'settings') return 'Settings';
+        if (collection == 'images') return 'Images';
+        return options.method == 'GET' ? 'Monitor' : 'Control';
+    }
+
     // A new access token has been obtained
     tokenSave(token) {
         let truncate =
@@ -371,12 +622,34 @@ module.exports = class HomeConnectAPI extends EventEmitter {
         this.debug('Access token  ' + truncate(token.access_token)
                    + ' (expires after ' + token.expires_in + ' seconds)');
 
-        // Save the refresh and access tokens, plus the authenticated scopes
+        // Determine the scopes that were actually granted
+        if (typeof token.scope == 'string') {
+            let scopes = token.scope.split(/\s+/).filter(scope => scope.length);
+            let denied = this.requestedScopes.filter(
+                scope => !scopes.includes(scope));
+            if (denied.length && denied.join() != this.scopesDenied) {
+                this.warn('Home Connect authorisation did not grant scopes: '
+                          + denied.join(', '));
+            }
+            this.scopesDenied = denied.join();
+            this.scopes = scopes;
+        }
+        this.debug('Authorised scopes: ' + this.scopes.join(' '));
+
+        // Track the access token's expiry using a monotonic clock
+        this.accessExpiry = {
+            accessToken:    token.access_token,
+            expires:        monotonicNow() + token.expires_in * MS
+        };
+
+        // Save the refresh and access tokens, plus the authorised scopes
+        // (the expiry time is saved relative to the servers' clock)
         this.savedAuth[this.clientID] = {
             refreshToken:   token.refresh_token,
             accessToken:    token.access_token,
-            accessExpires:  Date.now() + token.expires_in * MS,
-            scopes:         this.scopes
+            accessExpires:  this.serverNow() + token.expires_in * MS,
+            scopes:         this.scopes,
+            requestedScopes: this.requestedScopes
         };
         this.emit('auth_save', this.savedAuth);
     }
@@ -387,11 +660,12 @@ module.exports = class HomeConnectAPI extends EventEmitter {
         this.log('Requesting Home Connect authorisation using the Device Flow');
         let resp = await this.requestRaw({
             method:  'POST',
-            url:     this.url + '/security/oauth/device_authorization',
+            url:     this.endpoint.oauth
+                     + '/security/oauth/device_authorization',
             json:    true,
             form:    {
                 client_id:  this.clientID,
-                scope:      this.scopes.join(' ')
+                scope:      this.requestedScopes.join(' ')
             }
         });
         this.emit('auth_uri', resp.verification_uri_complete);
@@ -410,7 +684,7 @@ module.exports = class HomeConnectAPI extends EventEmitter {
             // Poll for a device access token (returns null while auth pending)
             token = await this.requestRaw({
                 method:  'POST',
-                url:     this.url + '/security/oauth/token',
+                url:     this.endpoint.oauth + '/security/oauth/token',
                 json:    true,
                 form:    {
                     client_id:      this.clientID,
@@ -424,19 +698,77 @@ module.exports = class HomeConnectAPI extends EventEmitter {
         return token;
     }
     
-    // Authorisation code grant flow (used for the simulator)
+    // Authorisation code grant flow (with a local listener for the redirect)
     async authCodeGrantFlow() {
+        this.log('Requesting Home Connect authorisation using the'
+                 + ' Authorization Code Grant Flow');
+
+        // Proof Key for Code Exchange (PKCE) and state to prevent forgery
+        let base64url = buffer => buffer.toString('base64').replace(/=+$/, '')
+                                        .replace(/\+/g, '-').replace(/\//g, '_');
+        let verifier = base64url(crypto.randomBytes(32));
+        let challenge = base64url(crypto.createHash('sha256')
+                                        .update(verifier).digest());
+        let state = base64url(crypto.randomBytes(16));
+
+        // Listen for the redirection after the user has authorised access
+        let listener = new AuthRedirectListener(this.logRaw, this.redirectURI);
+        await listener.start();
+        let code;
+        try {
+            let authURI = this.endpoint.oauth + '/security/oauth/authorize?'
+                          + querystring.stringify({
+                              client_id:             this.clientID,
+                              redirect_uri:          this.redirectURI,
+                              response_type:         'code',
+                              scope:                 this.requestedScopes.join(' '),
+                              state:                 state,
+                              code_challenge:        challenge,
+                              code_challenge_method: 'S256'
+                          });
+            let codePromise = listener.waitForCode(state);
+            this.emit('auth_uri', authURI);
+            this.debug('Waiting for redirect to ' + this.redirectURI
+                       + ' after Home Connect authorisation...');
+            code = await codePromise;
+        } finally {
+            listener.stop();
+        }
+
+        // Convert the authorisation code into an access token
+        this.debug('Using authorisation code to request token');
+        let form = {
+            client_id:      this.clientID,
+            grant_type:     'authorization_code',
+            code:           code,
+            redirect_uri:   this.redirectURI,
+            code_verifier:  verifier
+        };
+        if (this.clientSecret) form.client_secret = this.clientSecret;
+        let token = await this.requestRaw({
+            method:  'POST',
+            url:     this.endpoint.oauth + '/security/oauth/token',
+            json:    true,
+            form:    form
+        });
+
+        // Return the access token
+        return token;
+    }
+
+    // Short-circuited authorisation code grant flow (used for the simulator)
+    async authSimulatorFlow() {
         // Request authorisation, skipping the user interaction steps
         this.log('Attempting to short-circuit authorisation Code Grant Flow '
                  + 'for the Home Connect appliance simulator');
         let location = await this.requestRaw({
             method:         'GET',
-            url:            this.url + '/security/oauth/authorize',
+            url:            this.endpoint.oauth + '/security/oauth/authorize',
             followRedirect: false,
             qs:      {
                 client_id:      this.clientID,
                 response_type:  'code',
-                scope:          this.scopes.join(' '),
+                scope:          this.requestedScopes.join(' '),
                 user:           'me' // (can be anything non-zero length)
             },
         });
@@ -448,7 +780,7 @@ module.exports = class HomeConnectAPI extends EventEmitter {
         // Convert the authorisation code into an access token
         let token = await this.requestRaw({
             method:  'POST',
-            url:     this.url + '/security/oauth/token',
+            url:     this.endpoint.oauth + '/security/oauth/token',
             json:    true,
             form:    {
                 client_id:      this.clientID,
@@ -467,12 +799,12 @@ module.exports = class HomeConnectAPI extends EventEmitter {
         this.log('Refreshing Home Connect access token');
         let token = await this.requestRaw({
             method:  'POST',
-            url:     this.url + '/security/oauth/token',
+            url:     this.endpoint.oauth + '/security/oauth/token',
             json:    true,
-            form:    {
+            form:    Object.assign({
                 grant_type:     'refresh_token',
                 refresh_token:  refreshToken
-            }
+            }, this.clientSecret ? { client_secret: this.clientSecret } : {})
         });
 
         // Request returns null if authorisation is pending (shouldn't happen)
@@ -482,16 +814,125 @@ module.exports = class HomeConnectAPI extends EventEmitter {
         return token;
     }
 
+    // Refresh the access token, coordinated with other Homebridge instances
+    // sharing the same token store (which rotates the refresh token)
+    async tokenRefreshShared(auth) {
+        if (!this.tokenStore) {
+            return this.tokenSave(await this.tokenRefresh(auth.refreshToken));
+        }
+        await this.tokenStore.lock(async () => {
+            // Keep newer tokens saved by another instance for other accounts
+            // (so that saving this account's tokens does not overwrite them)
+            let reloaded = await this.tokenStore.reload();
+            for (let clientID of Object.keys(reloaded)) {
+                let current = this.savedAuth[clientID];
+                if (clientID != this.clientID && current
+                    && (current.accessExpires || 0)
+                       < reloaded[clientID].accessExpires) {
+                    this.savedAuth[clientID] = reloaded[clientID];
+                }
+            }
+
+            // Use a newer token if another instance has already refreshed it
+            let saved = reloaded[this.clientID];
+            if (saved && saved.accessToken
+                && saved.refreshToken != auth.refreshToken
+                && (auth.accessExpires || 0) < saved.accessExpires
+                && this.isSameScopes(saved.requestedScopes || saved.scopes)) {
+                this.log('Using Home Connect access token refreshed by'
+                         + ' another Homebridge instance');
+                this.tokenLoad(saved);
+                return;
+            }
+
+            // Otherwise refresh it (saving it before the lock is released)
+            this.tokenSave(await this.tokenRefresh(auth.refreshToken));
+        });
+    }
+
+    // Use tokens saved by another Homebridge instance
+    tokenLoad(saved) {
+        this.savedAuth[this.clientID] = saved;
+        if (saved.scopes) this.scopes = saved.scopes;
+        delete this.accessExpiry;
+    }
+
     // Invalidate saved authentication data if server indicates it is invalid
     authInvalidate() {
         delete this.savedAuth[this.clientID];
+        delete this.refreshEarly;
         this.wake('refresh', new Error('Client authentication invalidated'));
     }
 
+    // Time remaining before an access token expires (milliseconds)
+    accessValidFor(auth) {
+        // Prefer the monotonic clock for tokens obtained by this instance
+        let expiry = this.accessExpiry;
+        if (expiry && expiry.accessToken == auth.accessToken) {
+            return expiry.expires - monotonicNow();
+        }
+        return auth.accessExpires - this.serverNow();
+    }
+
+    // The current time according to the Home Connect servers
+    serverNow() {
+        return Date.now() + this.clockOffset;
+    }
+
+    // A response has been received from the server
+    responseReceived(response) {
+        this.networkMonitor.succeeded();
+        this.updateClock(response);
+    }
+
+    // Check whether there is a network-wide outage
+    isOffline() {
+        return this.networkMonitor.isOffline();
+    }
+
+    // Wait until there is no network-wide outage
+    waitOnline() {
+        return this.networkMonitor.waitOnline();
+    }
+
+    // Estimate the local clock's offset from the server's Date header
+    updateClock(response) {
+        let date = Date.parse(response.headers['date']);
+        if (isNaN(date)) return;
+        this.clockOffset = date - Date.now();
+
+        // Report significant changes to the offset
+        let change = this.clockOffset - this.clockOffsetReported;
+        if (CLOCK_SKEW_WARNING * MS < Math.abs(change)) {
+            this.clockOffsetReported = this.clockOffset;
+            let seconds = Math.round(Math.abs(this.clockOffset) / MS);
+            if (seconds < CLOCK_SKEW_WARNING) {
+                this.log('Local clock now agrees with Home Connect servers');
+            } else {
+                this.warn('Local clock is ' + seconds + ' seconds '
+                          + (this.clockOffset < 0 ? 'ahead of' : 'behind')
+                          + ' Home Connect servers');
+            }
+        }
+    }
+
+    // The server rejected the access token used for a request, so refresh it
+    // early (once, ignoring any other requests that used the same token)
+    tokenRejected(authorization) {
+        let auth = this.savedAuth[this.clientID];
+        if (!auth || !auth.accessToken
+            || authorization != 'Bearer ' + auth.accessToken) return;
+        this.warn('Access token rejected by server; refreshing it early');
+        delete auth.accessToken;
+        this.refreshEarly = true;
+        this.wake('refresh', new Error('Access token rejected'));
+    }
+
     // Invalidate the current access token if server indicates it is invalid
     tokenInvalidate() {
         let auth = this.savedAuth[this.clientID];
         if (auth) delete auth.accessToken;
+        delete this.refreshEarly;
         this.wake('refresh', new Error('Access token invalidated'));
     }
 
@@ -503,12 +944,58 @@ module.exports = class HomeConnectAPI extends EventEmitter {
         }
     }
 
+    // Check whether the daily quota is too low for non-essential requests
+    isQuotaLow() {
+        return this.quota.isLow('calls');
+    }
+
+    // Summarise usage of the daily quota
+    getQuota() {
+        return this.quota.summary();
+    }
+
+    // Start or stop accounting for an appliance being polled
+    setPolling(haid, polling) {
+        if (polling) this.pollingAppliances.add(haid);
+        else         this.pollingAppliances.delete(haid);
+    }
+
+    // Interval between polls of an appliance's state (seconds), increased if
+    // necessary to keep all polled appliances within a share of the quota
+    getPollInterval(calls) {
+        let appliances = Math.max(this.pollingAppliances.size, 1);
+        let budget = this.quota.limit('calls') * POLL_QUOTA_FRACTION;
+        let minimum = calls * appliances * POLL_QUOTA_PERIOD / budget;
+        return Math.max(this.pollInterval, Math.ceil(minimum));
+    }
+
+    // Account for a request against the daily quota
+    recordQuota(options) {
+        // Replayed requests are not sent to the Home Connect servers
+        if (this.recording && this.recording.mode == 'replay') return;
+
+        // Token refreshes have their own (lower) limit
+        if (options.form && options.form.grant_type == 'refresh_token') {
+            return this.quota.record('refreshes');
+        }
+
+        // Identify the appliance and endpoint for other API requests
+        let parsed = /\/api\/homeappliances(?:\/([^/?]+))?(?:\/([^/?]+))?/
+                     .exec(options.url);
+        if (!parsed) return;
+        let [, haid, resource] = parsed;
+        if (haid == 'events') [haid, resource] = [undefined, haid];
+        let endpoint = resource ? '/' + resource
+                       : '/homeappliances' + (haid ? '/{haId}' : '');
+        this.quota.record('calls', haid, options.method + ' ' + endpoint);
+    }
+
     // Issue a normal home appliances API request
-    async requestAppliances(method, haid, path, body) {
+    requestAppliances(method, haid, path, body) {
         // Construct request (excluding authorisation header which may change)
         let options = {
             method:  method,
-            url:     this.url + '/api/homeappliances',
+            url:     this.endpoint.api + '/api/homeappliances',
             timeout: REQUEST_TIMEOUT * MS,
             json:    true,
             headers: {
@@ -521,9 +1008,46 @@ module.exports = class HomeConnectAPI extends EventEmitter {
         if (haid) options.url += '/' + haid + (path || '');
         if (body) options.body = body;
 
+        // Changes take priority over reads of appliance state
+        if (method != 'GET') {
+            return this.requestAppliancesRetry(RequestQueue.PRIORITY_WRITE,
+                                               haid, options);
+        }
+
+        // Share a single request between identical concurrent reads
+        let pending = this.pendingReads[options.url];
+        if (pending) {
+            this.debug('Coalescing request GET ' + options.url);
+        } else {
+            pending = this.requestAppliancesRetry(RequestQueue.PRIORITY_READ,
+                                                  haid, options);
+            this.pendingReads[options.url] = pending;
+            let cleanup = () => delete this.pendingReads[options.url];
+            pending.then(cleanup, cleanup);
+        }
+        return pending;
+    }
+
+    // Cancel any queued low priority requests for an appliance
+    cancelRequests(haid) {
+        this.queue.cancel(haid, new RequestCancelledError(
+            'Request abandoned due to appliance disconnection'));
+    }
+
+    // Issue a home appliances API request, retrying if appropriate
+    // (waiting is performed before queueing, so that a request waiting to be
+    // retried does not prevent other requests from being issued)
+    async requestAppliancesRetry(priority, haid, options) {
         // Implement retries
+        let tokenRetried = false;
         while (true) {
 
+            // Fail immediately during a network-wide outage
+            if (this.isOffline()) {
+                throw new NetworkError('Home Connect servers are unreachable',
+                    { request: { method: options.method, url: options.url } });
+            }
+
             // Apply rate limiting
             let retryIn = this.earliestRetry - Date.now();
             if (0 < retryIn) {
@@ -535,14 +1059,28 @@ module.exports = class HomeConnectAPI extends EventEmitter {
             // Try issuing the request
             try {
                 
-                options.headers['authorization'] = this.getAuthorisation();
-                let body = await this.requestRaw(options);
+                if (tokenRetried) await this.waitUntilAuthorised();
+                let body = await this.queue.add(priority, haid, () => {
+                    // Check rate limiting again if it changed while queued
+                    if (Date.now() < this.earliestRetry) return RETRY;
+                    options.headers['authorization'] = this.getAuthorisation();
+                    return this.requestRaw(options);
+                });
+                if (body === RETRY) continue;
+                if (options.encoding === null) return body;
                 return body && body.data;
                 
             } catch (err) {
 
+                // Retry once with a new token if the access token was rejected
+                if (err instanceof AuthError && err.key == 'invalid_token'
+                    && !tokenRetried) {
+                    tokenRetried = true;
+                    continue;
+                }
+
                 // Re-throw the error if the request cannot be retried
-                if (!err.retry) throw err;
+                if (!(err instanceof RateLimitError)) throw err;
 
             }
         }
@@ -555,96 +1093,125 @@ module.exports = class HomeConnectAPI extends EventEmitter {
         let logPrefix = 'Home Connect request #' + ++this.requestCount + ': ';
         this.debug(logPrefix + options.method + ' ' + options.url);
         let startTime = Date.now();
+        this.recordQuota(options);
+        this.network.apply(options);
 
         // Issue the request
         let status = 'OK';
         try {
 
-            return await requestPromise(options);
+            let issue = () => requestPromise(options)
+                .on('response', response => this.responseReceived(response));
+            if (this.recording) {
+                return await this.recording.request(options, issue);
+            }
+            return await issue();
             
         } catch (err) {
 
             // Status codes returned by the server have special handling
             status = err.message;
-            if (err.name == 'StatusCodeError') {
+            let errOptions = {
+                request:    { method: options.method, url: options.url },
+                cause:      err
+            };
+            if (err.name != 'StatusCodeError') {
+                // Failed to issue the request or receive a response
+                let networkErr = new NetworkError(err.message, errOptions);
+                this.networkMonitor.failed(networkErr);
+                throw networkErr;
+            }
+            errOptions.statusCode = err.statusCode;
 
-                // Redirection is not an error when expected
-                if (!options.followRedirect && err.statusCode == 302) {
-                    let uri = err.response.headers['location'];
-                    status = 'Redirect ' + uri;
-                    return uri;
-                }
+            // Redirection is not an error when expected
+            if (!options.followRedirect && err.statusCode == 302) {
+                let uri = err.response.headers['location'];
+                status = 'Redirect ' + uri;
+                return uri;
+            }
 
-                // Inspect any response returned by the server
-                let body = options.json ? err.response.body
-                                        : this.parseJSON(err.response.body);
-                if (body && body.error_description) {
-
-                    // Authorisation (OAuth) error response
-                    status = body.error_description + ' [' + body.error + ']';
-
-                    // Special handling for some authorisation errors
-                    switch (body.error) {
-                    case 'authorization_pending':
-                        // User has not yet completed the user interaction steps
-                        status = 'Authorisation pending';
-                        return null;
-                        break;
-                        
-                    case 'access_denied':
-                        if (body.error_description == 'Too many requests') {
-                            // Token refresh rate limit exceeded
-                            status = 'Token refresh rate limit exceeded'
-                                  + ' (only 100 refreshes are allowed per day)';
-                            err.retry = true;
-                            break;
-                        }
-                        // fallthrough
-                    case 'invalid_grant':
-                    case 'expired_token':
-                        // Refresh token not valid; restart whole authorisation
-                        this.authInvalidate();
-                        break;
-                        
-                    case 'unauthorized_client':
-                        // There is a problem with the client
-                        this.authInvalidate();
-                        status = CLIENT_HELP_PREFIX1 + body.error_description;
-                        let extra = CLIENT_HELP_EXTRA[body.error_description];
-                        if (extra) status += CLIENT_HELP_PREFIX2 + extra;
-                        break;
+            // Inspect any response returned by the server
+            let body = options.json ? err.response.body
+                                    : this.parseJSON(err.response.body);
+            if (body && body.error_description) {
+
+                // Authorisation (OAuth) error response
+                status = body.error_description + ' [' + body.error + ']';
+                errOptions.key = body.error;
+                errOptions.description = body.error_description;
+
+                // Special handling for some authorisation errors
+                switch (body.error) {
+                case 'authorization_pending':
+                    // User has not yet completed the user interaction steps
+                    status = 'Authorisation pending';
+                    return null;
+                    break;
+
+                case 'access_denied':
+                    if (body.error_description == 'Too many requests') {
+                        // Token refresh rate limit exceeded
+                        status = 'Token refresh rate limit exceeded'
+                              + ' (only 100 refreshes are allowed per day)';
+                        throw new RateLimitError(
+                            'Home Connect API error: ' + status,
+                            undefined, errOptions);
                     }
-                    
-                } else if (body && body.error && body.error.key) {
-
-                    // Normal Home Connect API error format
-                    status = (body.error.developerMessage
-                              || body.error.description
-                              || body.error.value)
-                             + ' [' + body.error.key + ']';
-
-                    // Special handling for some API errors
-                    switch (body.error.key) {
-                    case 'invalid_token':
-                        // Problem with the access token
-                        this.tokenInvalidate();
-                        break;
-                        
-                    case '429':
-                        // Rate limit exceeded (wait Retry-After header seconds)
-                        let delay = err.response.headers['retry-after'];
-                        this.retryAfter(delay);
-                        err.retry = true;
-                        break;
+                    // fallthrough
+                case 'invalid_grant':
+                case 'expired_token':
+                    // Refresh token not valid; restart whole authorisation
+                    this.authInvalidate();
+                    break;
+
+                case 'unauthorized_client':
+                    // There is a problem with the client
+                    this.authInvalidate();
+                    status = CLIENT_HELP_PREFIX1 + body.error_description;
+                    let extra = CLIENT_HELP_EXTRA[body.error_description];
+                    if (extra && typeof extra == 'object') {
+                        extra = extra[this.authFlow];
                     }
+                    if (extra) status += CLIENT_HELP_PREFIX2 + extra;
+                    break;
                 }
-                    
-                // Use the server's response for the error message
-                err.message = 'Home Connect API error: ' + status;
+                throw new AuthError('Home Connect API error: ' + status,
+                                    errOptions);
+
+            } else if (body && body.error && body.error.key) {
+
+                // Normal Home Connect API error format
+                status = (body.error.developerMessage
+                          || body.error.description
+                          || body.error.value)
+                         + ' [' + body.error.key + ']';
+
+                // Special handling for some API errors
+                switch (body.error.key) {
+                case 'invalid_token':
+                    // Problem with the access token
+                    this.tokenRejected(options.headers['authorization']);
+                    break;
+
+                case 'insufficient_scope':
+                    // The required scope has not been authorised
+                    errOptions.scope = this.getRequiredScope(options);
+                    break;
+
+                case '429':
+                    // Rate limit exceeded (wait Retry-After header seconds)
+                    let delay = err.response.headers['retry-after'];
+                    this.retryAfter(delay);
+                    errOptions.retryAfter = delay && parseInt(delay, 10);
+                    break;
+                }
+                throw fromAPIError('Home Connect API error: ' + status,
+                                   body.error, errOptions);
             }
 
-            // Re-throw the error unless suppressed above
-            throw err;
+            // Use the server's response for the error message
+            throw new HomeConnectError('Home Connect API error: ' + status,
+                                       errOptions);
             
         } finally {
 
@@ -664,8 +1231,123 @@ module.exports = class HomeConnectAPI extends EventEmitter {
             if (haidRegex.test(event)) this.eventListeners.add(event);
         });
 
+        // Monitor the health of the events streams
+        this.eventsHealth = new EventStreamHealth(
+            health => this.emit('events_health', health));
+
         // Start a single events stream for all physical appliances
+        this.eventsReceived = {};
+        this.eventsFallback = {};
+        this.eventsIdle = {};
         this.getEventsRaw();
+
+        // Periodically check whether per-appliance streams are required
+        clearInterval(this.eventsCheckInterval);
+        this.eventsCheckInterval = setInterval(() => this.checkEventStreams(),
+                                               EVENT_CHECK_INTERVAL * MS);
+    }
+
+    // Stop all events streams (when Homebridge is shutting down)
+    stopEvents() {
+        this.eventsStopped = true;
+        clearInterval(this.eventsCheckInterval);
+        for (let haid of Object.keys(this.eventsFallback || {})) {
+            delete this.eventsFallback[haid];
+            this.wake('events ' + haid);
+            this.requestStreamKill('events stream for ' + haid);
+        }
+        this.requestStreamKill('events stream for all appliances');
+    }
+
+    // Start or stop per-appliance events streams as required
+    checkEventStreams() {
+        let health = this.eventsHealth;
+        let connectedFor = health.connectedFor();
+        let connectedSince = Date.now() - connectedFor;
+        let failing = EVENT_FALLBACK_FAILURES <= health.failures();
+
+        for (let haid of this.eventListeners) {
+            let fallback = this.eventsFallback[haid];
+            let received = this.eventsReceived[haid];
+            if (fallback) {
+                // Return to the combined stream once it is healthy again
+                let recovered = fallback.reason == 'failing'
+                                ? health.isHealthy()
+                                : fallback.started < received;
+                if (recovered) {
+                    this.stopEventsFallback(haid, 'healthy');
+                } else if (fallback.reason == 'silent' && !fallback.delivered
+                           && EVENT_FALLBACK_SILENCE * MS
+                              <= Date.now() - fallback.started) {
+                    // Separate stream also silent, so appliance is just idle
+                    this.eventsIdle[haid] = Date.now();
+                    this.stopEventsFallback(haid, 'idle');
+                }
+            } else {
+                // Fall back if combined stream failing or silent for appliance
+                // (unless found to be idle since the stream connected)
+                let idle = connectedSince < this.eventsIdle[haid];
+                if (failing) {
+                    this.startEventsFallback(haid, 'failing');
+                } else if (EVENT_FALLBACK_SILENCE * MS <= connectedFor
+                           && !(connectedSince < received) && !idle) {
+                    this.startEventsFallback(haid, 'silent');
+                }
+            }
+        }
+    }
+
+    // Start a per-appliance events stream, if within the connection budget
+    startEventsFallback(haid, reason) {
+        // A failing combined stream takes priority over a silent appliance
+        let active = Object.keys(this.eventsFallback);
+        let silent = active.find(
+            other => this.eventsFallback[other].reason == 'silent');
+        if (this.eventStreams <= active.length && reason == 'failing'
+            && silent) {
+            this.stopEventsFallback(silent, 'failing');
+            active = Object.keys(this.eventsFallback);
+        }
+        if (this.eventStreams <= active.length) {
+            if (!this.eventsFallbackWarned) {
+                this.warn('Unable to start events stream for ' + haid
+                          + '; limit of ' + this.eventStreams
+                          + ' per-appliance streams reached');
+                this.eventsFallbackWarned = true;
+            }
+            return;
+        }
+        this.warn('Combined events stream is ' + reason + ' for ' + haid
+                  + '; starting a separate events stream for this appliance');
+        this.eventsFallback[haid] = { reason: reason, started: Date.now() };
+        this.getEventsRaw(haid);
+    }
+
+    // Stop a per-appliance events stream and return to the combined stream
+    stopEventsFallback(haid, reason) {
+        let description = {
+            healthy: 'Combined events stream is healthy for ' + haid,
+            idle:    'No events from ' + haid + ' on either events stream',
+            failing: 'Combined events stream is failing; freeing the events'
+                     + ' stream used while ' + haid + ' was silent'
+        }[reason];
+        this.log(description + '; stopping separate events stream for this'
+                 + ' appliance');
+        delete this.eventsFallback[haid];
+        delete this.eventsFallbackWarned;
+        this.eventsHealth.remove(haid);
+        this.wake('events ' + haid);
+        this.requestStreamKill('events stream for ' + haid);
+
+        // Ensure that the appliance state is refreshed
+        if (this.eventsHealth.connectedFor()) {
+            this.emit(haid, { event: 'START' });
+        }
+    }
+
+    // Current health of the events streams
+    getEventsHealth() {
+        return this.eventsHealth.summary();
     }
 
     // Get events stream for a single appliance or all appliances
@@ -673,8 +1355,9 @@ module.exports = class HomeConnectAPI extends EventEmitter {
         // Construct request (excluding authorisation header which may change)
         let options = {
             method:     'GET',
-            url:        this.url + '/api/homeappliances/'
-                        + (haid ? haid + '/events' : 'events'),
+            url:        this.endpoint.api
+                        + (haid ? '/api/homeappliances/' + haid + '/events'
+                                : this.endpoint.events),
             timeout:    EVENT_TIMEOUT * MS,
             encoding:   'utf8',
             json:       true,
@@ -694,80 +1377,114 @@ module.exports = class HomeConnectAPI extends EventEmitter {
             let eventListeners = event.id ? [event.id]
                                  : (haid ? [haid] : this.eventListeners);
 
+            // Events from the combined stream indicate that it is working for
+            // that appliance, but ignore them while it has its own stream
+            if (!haid) {
+                if (event.id) {
+                    this.eventsReceived[event.id] = Date.now();
+                    delete this.eventsIdle[event.id];
+                }
+                eventListeners = [...eventListeners].filter(
+                    haid => !this.eventsFallback[haid]);
+            } else if (!['START', 'STOP'].includes(event.event)
+                       && this.eventsFallback[haid]) {
+                // Remember that the separate stream delivered missed events
+                this.eventsFallback[haid].delivered = Date.now();
+            }
+
             // Notify all of the listeners
             for (let haid of eventListeners) this.emit(haid, event);
         }
 
-        // Automatically restart the event stream
+        // Parse the event stream, remembering the last event ID and
+        // reconnection time across restarts of the stream
+        let parser = new EventStreamParser(event => {
+            if (event.data.length) {
+                let data = this.parseJSON(event.data);
+                if (data === null) {
+                    // Discard just this event instead of the whole stream
+                    return this.warn("Ignoring unparseable " + event.event
+                                     + " event data '" + event.data + "'");
+                }
+                event.data = data;
+            } else {
+                delete event.data;
+            }
+            if (event.id === undefined) delete event.id;
+            dispatch(event);
+        }, comment => this.debug("Event comment '" + comment + "'"));
+
+        // Automatically restart the event stream (until no longer required)
         let description = 'events stream for ' + (haid || 'all appliances');
-        while (true) {
-            let started = false;
+        let health = this.eventsHealth;
+        let key = haid || EventStreamHealth.COMBINED;
+        let sleepId = haid && 'events ' + haid;
+        let isRequired = () => !this.eventsStopped
+                               && (!haid || this.eventsFallback[haid]);
+        let backoff = 0;
+        while (isRequired()) {
             try {
-                // Wait until authorised
+                // Delay reconnection after a failure
+                if (backoff) {
+                    await this.sleep(backoff, sleepId);
+                    backoff = 0;
+                }
+
+                // Wait until authorised and any network outage is over
                 await this.waitUntilAuthorised();
+                await this.waitOnline();
 
                 // Apply rate limiting
                 let retryIn = this.earliestRetry - Date.now();
                 if (0 < retryIn) {
                     this.warn('Waiting ' + Math.floor(retryIn / MS) + ' seconds'
                               + ' before requesting ' + description);
-                    await this.sleep(retryIn);
+                    await this.sleep(retryIn, sleepId);
+                }
+
+                // Apply any reconnection time requested by the server
+                if (parser.retry) {
+                    this.debug('Waiting ' + parser.retry + 'ms (server retry)'
+                               + ' before requesting ' + description);
+                    await this.sleep(parser.retry, sleepId);
                 }
+                if (!isRequired()) break;
                 
-                // Start the event stream
+                // Start the event stream, resuming after the last event
                 this.log('Starting ' + description);
                 options.headers['authorization'] = this.getAuthorisation();
-                let event = {};
-                let debugHistory = [];
-                await this.requestStream(options, description, line => {
-                    debugHistory.push(line);
-                    if (20 < debugHistory.length) debugHistory.shift();
-                    if (!line) {
-                        // End of event, so issue a notification
-                        if (!started) {
-                            this.debug('Started ' + description);
-                            dispatch({ event: 'START' });
-                            started = true;
-                        }
-                        if (Object.keys(event).length) dispatch(event);
-                        event = {};
-                    } else if (/^:/.test(line)) {
-                        // Server-sent events comment
-                        this.debug("Event comment '" + line + "'");
+                if (parser.lastEventId.length) {
+                    options.headers['last-event-id'] = parser.lastEventId;
+                }
+                parser.reset();
+                await this.requestStream(options, description, chunk => {
+                    if (chunk === undefined) {
+                        // Stream established, so issue a notification
+                        this.debug('Started ' + description);
+                        health.connected(key);
+                        dispatch({ event: 'START' });
                     } else {
-                        // More information about the event
-                        let data = /^(\w+):\s*(.*)$/.exec(line);
-                        if (!data) {
-                            this.debug("Unable to parse event '" + line + "':\n"
-                                        + debugHistory.join('\n'));
-                            debugHistory = [];
-                            this.requestStreamKill(description,
-                                          new Error('Garbage in event stream'));
-                            return;
-                        }
-                        let key = data[1], value = data[2];
-                        if (key == 'data' && value.length) {
-                            value = this.parseJSON(value);
-                            if (value === null) {
-                                this.debug("Unable to parse event data '"
-                                           + line + "':\n"
-                                           + debugHistory.join('\n'));
-                                debugHistory = [];
-                                this.requestStreamKill(description,
-                                          new Error('Garbage in event stream'));
-                                return;
-                            }
-                        }
-                        event[key] = value;
+                        parser.write(chunk);
                     }
                 });
+                if (!isRequired()) break;
                 this.debug('Terminated ' + description + ' without error');
+                health.disconnected(key);
                 dispatch({ event: 'STOP' });
             } catch (err) {
-                this.error('Terminated ' + description + ': ' + err.message);
+                if (!isRequired()) break;
+
+                // Back off before reconnecting (health summary logs failures)
+                // (unless waiting for a network outage to end)
+                backoff = this.isOffline() ? 0 : health.failed(key, err);
+                this.debug('Terminated ' + description + ': ' + err.message
+                           + '; retrying in ' + Math.round(backoff / MS)
+                           + ' seconds');
+                if (!haid) this.checkEventStreams();
                 dispatch({ event: 'STOP', err: err });
             }
         }
+        this.debug('Finished ' + description);
     }
 
     // Wrap a Home Connect request stream in a Promise
@@ -798,34 +1515,59 @@ module.exports = class HomeConnectAPI extends EventEmitter {
     }
 
     // Issue a raw Home Connect request in streaming mode
-    requestStreamRaw(options, callbackLine, callbackDone) {
+    requestStreamRaw(options, callbackData, callbackDone) {
         
         // Log the request
         let logPrefix = 'Home Connect request #' + ++this.requestCount + ': ';
         this.debug(logPrefix + 'STREAM ' + options.url);
         let startTime = Date.now();
+        this.recordQuota(options);
+        this.network.apply(options);
+
+        // Issue and return the request, recording or replaying if enabled
+        if (this.recording) {
+            return this.recording.stream(options, callbackData, callbackDone,
+                (callbackData, callbackDone) =>
+                    this.requestStreamIssue(options, logPrefix, startTime,
+                                            callbackData, callbackDone));
+        }
+        return this.requestStreamIssue(options, logPrefix, startTime,
+                                       callbackData, callbackDone);
+    }
 
-        // Issue and return the request
+    // Issue a streaming request
+    requestStreamIssue(options, logPrefix, startTime,
+                       callbackData, callbackDone) {
         return request(options).on('error', err => {
 
             // Log and return any error
             this.debug(logPrefix + err.message
                        + ' +' + (Date.now() - startTime) + 'ms ');
-            callbackDone(err);
+            let networkErr = new NetworkError(err.message, {
+                request:    { method: 'GET', url: options.url },
+                cause:      err
+            });
+            this.networkMonitor.failed(networkErr);
+            callbackDone(networkErr);
             
         }).on('response', response => {            
+            this.responseReceived(response);
             if (response.statusCode == 200) {
 
-                // Successfully established stream so handle any received data
-                callbackLine();
-                response.on('data', chunk => {
-                    chunk.split(/\r?\n/).forEach(line => callbackLine(line));
-                });
+                // Successfully established stream so pass on any received data
+                // (chunks may split lines or events; the caller buffers them)
+                callbackData();
+                response.on('data', chunk => callbackData(chunk));
             }
         }).on('complete', (response, body) => {
 
             // Attempt to extract a useful error message
             let status = response.statusMessage;
+            let errOptions = {
+                request:    { method: 'GET', url: options.url },
+                statusCode: response.statusCode
+            };
+            let err;
             if (body && body.error && body.error.key) {
 
                 // Normal Home Connect API error format
@@ -838,16 +1580,26 @@ module.exports = class HomeConnectAPI extends EventEmitter {
                 switch (body.error.key) {
                 case 'invalid_token':
                     // Problem with the access token
-                    this.tokenInvalidate();
+                    this.tokenRejected(options.headers['authorization']);
+                    break;
+
+                case 'insufficient_scope':
+                    // The required scope has not been authorised
+                    errOptions.scope = 'Monitor';
                     break;
                     
                 case '429':
                     // Rate limit exceeded (wait Retry-After header seconds)
-                    let delay = err.response.headers['retry-after'];
+                    let delay = response.headers['retry-after'];
                     this.retryAfter(delay);
-                    err.retry = true;
+                    errOptions.retryAfter = delay && parseInt(delay, 10);
                     break;
                 }
+                err = fromAPIError('Home Connect API error: ' + status,
+                                   body.error, errOptions);
+            } else if (response.statusCode != 200) {
+                err = new HomeConnectError('Home Connect API error: ' + status,
+                                           errOptions);
             }
 
             // Log completion of the request
@@ -855,8 +1607,7 @@ module.exports = class HomeConnectAPI extends EventEmitter {
                        + ' +' + (Date.now() - startTime) + 'ms ');
             
             // Indicate that the request is complete, returning any error
-            callbackDone(response.statusCode == 200 ? null
-                         : new Error('Home Connect API error: ' + status));
+            callbackDone(err || null);
         });
     }
 
@@ -882,10 +1633,7 @@ module.exports = class HomeConnectAPI extends EventEmitter {
         let reject = this.sleepReject[id];
         if (reject) reject(err || new Error('Sleep aborted'));
     }
-
-    // Logging
-    error(msg)  { this.logRaw ? this.logRaw.error(msg) : console.error(msg); }
-    warn(msg)   { this.logRaw ? this.logRaw.warn(msg)  : console.warn(msg);  }
-    log(msg)    { this.logRaw ? this.logRaw.info(msg)  : console.log(msg);   }
-    debug(msg)  { this.logRaw ? this.logRaw.debug(msg) : console.debug(msg); }
 }
+
+// Shared logging methods
+Object.assign(module.exports.prototype, Logging);
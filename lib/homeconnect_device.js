@@ -4,6 +4,9 @@
 'use strict';
 
 const EventEmitter = require('events');
+const { ScopeError, SDKError,
+        ApplianceOfflineError } = require('./homeconnect_errors.js');
+const ItemHistory = require('./item_history.js');
 
 // Minimum event stream interruption before treated as appliance disconnected
 const EVENT_DISCONNECT_DELAY = 3;           // (seconds)
@@ -13,25 +16,63 @@ const CONNECTED_RETRY_MIN_DELAY = 5;        // (seconds)
 const CONNECTED_RETRY_MAX_DELAY = 10 * 60;  // (seconds)
 const CONNECTED_RETRY_FACTOR = 2;           // (double delay on each retry)
 
+// Scopes always used for each appliance (may be prefixed by appliance type)
+// (others, such as Control, are only reported if an operation requires them)
+const SCOPES_USED = ['IdentifyAppliance', 'Monitor', 'Settings'];
+
+// Scopes that are shared by several appliance types
+// (the FridgeFreezer-Images scope also covers Refrigerators)
+const SHARED_SCOPES = { Images: 'FridgeFreezer-Images' };
+
+// Delay before reporting missing scopes (to combine multiple denials)
+const SCOPE_REPORT_DELAY = 5;               // (seconds)
+
+// Delay before saving appliance state (to combine multiple updates)
+const STATE_SAVE_DELAY = 10;                // (seconds)
+
+// Maximum age of saved appliance state to restore after a restart
+const STATE_MAX_AGE = 7 * 24 * 60 * 60;     // (seconds)
+
 const MS = 1000;
 
 // Low-level access to the Home Connect API
 module.exports = class HomeConnectDevice extends EventEmitter {
 
     // Create a new API object
-    constructor(log, api, ha) {
+    constructor(log, api, ha, persist) {
         super();
         this.log = msg => log('[' + ha.name + '] ' + msg);
         this.api = api;
+        this.persist = persist;
         Object.assign(this, ha);
 
         // Initial device state
         this.items = {};
+        this.itemsUpdated = {};
+        this.deniedScopes = [];
+        this.requiredScopes = [];
+        this.history = new ItemHistory(this.log, persist, this.haId);
         this.setConnectedState(this.connected);
+        this.reportScopes();
+
+        // Restore the last known appliance state (until read from appliance)
+        this.restoreItems();
+        this.history.load().catch(
+            err => this.reportError(err, 'Restore item history'));
 
         // Disable warning for more than 10 listeners on an event
         this.setMaxListeners(0);
 
+        // Notify late listeners of any restored state
+        this.on('newListener',
+                (key, listener) => this.replayItem(key, listener));
+
+        // Apply any queued changes when the appliance reconnects
+        this.commandQueue = [];
+        this.on('connected', item => {
+            if (item.value) this.applyCommands();
+        });
+
         // Workaround some appliances not reliably indicating their power state
         this.on('BSH.Common.Status.OperationState',
                 item => this.readyImpliesPower(item));
@@ -39,11 +80,32 @@ module.exports = class HomeConnectDevice extends EventEmitter {
         // Start streaming events
         this.listener = event => this.eventListener(event);
         this.api.on(this.haId, this.listener);
+
+        // Treat the appliance as disconnected during network outages
+        this.offlineListener = () => {
+            this.log('Network outage; treating appliance as disconnected');
+            this.setConnectedState(false);
+        };
+        this.onlineListener = () => {
+            this.log('Network restored; checking appliance state');
+            this.setConnectedState();
+        };
+        this.api.on('offline', this.offlineListener);
+        this.api.on('online',  this.onlineListener);
     }
 
     // Stop event stream (and any other autonomous activity)
     stop() {
         this.api.off(this.haId, this.listener);
+        this.api.off('offline', this.offlineListener);
+        this.api.off('online',  this.onlineListener);
+        clearTimeout(this.scopesReportScheduled);
+        clearTimeout(this.saveItemsScheduled);
+        this.history.stop();
+        this.stopPolling();
+        for (let command of this.commandQueue) {
+            clearTimeout(command.expiryScheduled);
+        }
     }
 
     // Describe an item
@@ -61,7 +123,23 @@ module.exports = class HomeConnectDevice extends EventEmitter {
     }
     
     // Update cached values and notify listeners
+    // (items restored from saved appliance state are marked as stale)
     update(items) {
+        this.saveItems(items);
+        this.recordHistory(items);
+
+        // Values that confirm restored state do not need to be notified
+        items = items.filter(item => {
+            let previous = this.items[item.key];
+            let confirms = !item.stale && previous && previous.stale
+                           && previous.value === item.value;
+            if (confirms) {
+                this.items[item.key] = item;
+                this.log(this.describe(item) + ' (confirms saved state)');
+            }
+            return !confirms;
+        });
+
         // Update cached state for all items before notifying any listeners
         items.forEach(item => {
             this.items[item.key] = item;
@@ -70,7 +148,7 @@ module.exports = class HomeConnectDevice extends EventEmitter {
         // Notify listeners for each item
         items.forEach(item => {
             let description = this.describe(item);
-            this.log(description
+            this.log(description + (item.stale ? ' [saved]' : '')
                      + ' (' + this.listenerCount(item.key) + ' listeners)');
             try {
                 this.emit(item.key, item);
@@ -86,6 +164,104 @@ module.exports = class HomeConnectDevice extends EventEmitter {
         return item.value;
     }
 
+    // Get the changes to an item's value, optionally limited to a time range
+    // (times are milliseconds since the epoch, as returned by Date.now())
+    getHistory(key, range) {
+        return this.history.changes(key, range);
+    }
+
+    // Record changes to item values (every occurrence of an event)
+    recordHistory(items) {
+        for (let item of items) {
+            if (item.stale) continue;
+            this.history.record(item, { repeat: /\.Event\./.test(item.key) });
+        }
+    }
+
+    // Check whether an item should be included in the saved appliance state
+    // (excluding events, which would be repeated, and the connection status)
+    isSavedItem(key) {
+        return key != 'connected' && !/\.Event\./.test(key);
+    }
+
+    // Restore the saved appliance state, marking it as stale
+    async restoreItems() {
+        if (!this.persist) return;
+        try {
+            let saved = await this.persist.getItem(this.haId + ' state') || {};
+            let oldest = Date.now() - STATE_MAX_AGE * MS;
+            let items = [];
+            for (let key of Object.keys(saved)) {
+                // Ignore old state or items already read from the appliance
+                let { item, updated } = saved[key];
+                if (updated < oldest || key in this.items) continue;
+                this.itemsUpdated[key] = updated;
+                items.push(Object.assign({}, item, { stale: true }));
+            }
+            if (!items.length) return;
+            this.log('Restoring ' + items.length + ' items of saved state');
+            this.update(items);
+        } catch (err) {
+            this.reportError(err, 'Restore saved appliance state');
+        }
+    }
+
+    // Discard any restored state that was not confirmed by the appliance
+    // (listeners are not notified; HomeKit has no way to show unknown values)
+    discardStaleItems() {
+        let stale = Object.keys(this.items).filter(
+            key => this.items[key].stale);
+        if (!stale.length) return;
+        this.log('Discarding ' + stale.length + ' items of unconfirmed'
+                 + ' saved state: ' + stale.join(', '));
+        for (let key of stale) {
+            delete this.items[key];
+            delete this.itemsUpdated[key];
+        }
+        this.saveItems([]);
+    }
+
+    // Notify a listener added after state was restored of the restored value
+    // (mixins may attach listeners after asynchronous initialisation)
+    replayItem(key, listener) {
+        let item = this.items[key];
+        if (!item || !item.stale) return;
+        setImmediate(() => {
+            // Skip if the item has since been updated or the listener removed
+            // (so each listener is notified of a particular value only once)
+            if (this.items[key] !== item
+                || !this.listeners(key).includes(listener)) return;
+            try {
+                listener(item);
+            } catch (err) {
+                this.reportError(err, 'Replay ' + this.describe(item));
+            }
+        });
+    }
+
+    // Schedule saving the appliance state
+    saveItems(items) {
+        if (!this.persist) return;
+        for (let item of items) {
+            if (!item.stale) this.itemsUpdated[item.key] = Date.now();
+        }
+        if (this.saveItemsScheduled) return;
+        this.saveItemsScheduled = setTimeout(async () => {
+            delete this.saveItemsScheduled;
+            let saved = {};
+            for (let key of Object.keys(this.items)) {
+                if (!this.isSavedItem(key)) continue;
+                let { stale, ...item } = this.items[key];
+                saved[key] = { item: item, updated: this.itemsUpdated[key] };
+            }
+            try {
+                await this.persist.setItem(this.haId + ' state', saved);
+            } catch (err) {
+                this.reportError(err, 'Save appliance state');
+            }
+        }, STATE_SAVE_DELAY * MS);
+    }
+
     // Read details about this appliance (especially its connection status)
     async getAppliance() {
         try {
@@ -134,9 +310,9 @@ module.exports = class HomeConnectDevice extends EventEmitter {
             this.update([item]);
             return item;
         } catch (err) {
-            let key = (((err.response || {}).body || {}).error || {}).key;
-            if (key == 'SDK.Error.UnsupportedSetting'
-                || key == 'SDK.Simulator.InternalError') {
+            if (err instanceof SDKError
+                && (err.key == 'SDK.Error.UnsupportedSetting'
+                    || err.key == 'SDK.Simulator.InternalError')) {
                 // Suppress error when the setting is unsupported
                 return null;
             }
@@ -147,8 +323,12 @@ module.exports = class HomeConnectDevice extends EventEmitter {
     // Write a single setting
     async setSetting(settingKey, value) {
         try {
-            this.requireSettings();
+            this.requireScope('Settings');
             this.requireRemoteControl();
+            if (this.queueCommand('SET ' + settingKey + '=' + value, settingKey,
+                                  () => this.setSetting(settingKey, value)))
+                return;
+            this.requireConnected();
             await this.api.setSetting(this.haId, settingKey, value);
             this.update([{ key: settingKey, value: value }]);
         } catch (err) {
@@ -176,8 +356,8 @@ module.exports = class HomeConnectDevice extends EventEmitter {
             if (programs === undefined) throw new Error('Empty response');
             return programs;
         } catch (err) {
-            let key = (((err.response || {}).body || {}).error || {}).key;
-            if (key == 'SDK.Error.WrongOperationState') {
+            if (err instanceof SDKError
+                && err.key == 'SDK.Error.WrongOperationState') {
                 // Suppress error when there are no available programs
                 return [];
             }
@@ -213,8 +393,8 @@ module.exports = class HomeConnectDevice extends EventEmitter {
             }
             return program;
         } catch (err) {
-            if ((((err.response || {}).body || {}).error || {}).key
-                == 'SDK.Error.NoProgramSelected') {
+            if (err instanceof SDKError
+                && err.key == 'SDK.Error.NoProgramSelected') {
                 // Suppress error when there is no selected program
                 return null;
             }
@@ -225,8 +405,13 @@ module.exports = class HomeConnectDevice extends EventEmitter {
     // Select a program
     async setSelectedProgram(programKey, options = {}) {
         try {
-            this.requireControl();
+            this.requireScope('Control');
             this.requireRemoteControl();
+            if (this.queueCommand('SET selected program ' + programKey,
+                    'BSH.Common.Root.SelectedProgram',
+                    () => this.setSelectedProgram(programKey, options)))
+                return;
+            this.requireConnected();
             let programOptions = [];
             for (let key of Object.keys(options)) {
                 programOptions.push({
@@ -268,8 +453,8 @@ module.exports = class HomeConnectDevice extends EventEmitter {
                 return null;
             }
         } catch (err) {
-            if ((((err.response || {}).body || {}).error || {}).key
-                == 'SDK.Error.NoProgramActive') {
+            if (err instanceof SDKError
+                && err.key == 'SDK.Error.NoProgramActive') {
                 // Suppress error when there is no active program
                 return null;
             }
@@ -280,8 +465,13 @@ module.exports = class HomeConnectDevice extends EventEmitter {
     // Start a program
     async startProgram(programKey, options = {}) {
         try {
-            this.requireControl();
+            this.requireScope('Control');
             this.requireRemoteStart();
+            if (this.queueCommand('START active program ' + (programKey || ''),
+                    'BSH.Common.Root.ActiveProgram',
+                    () => this.startProgram(programKey, options)))
+                return;
+            this.requireConnected();
             if (!programKey)
                 programKey = this.getItem('BSH.Common.Root.SelectedProgram');
             let programOptions = [];
@@ -304,6 +494,12 @@ module.exports = class HomeConnectDevice extends EventEmitter {
     // Stop a program
     async stopProgram() {
         try {
+            this.requireScope('Control');
+            if (this.queueCommand('STOP active program',
+                                  'BSH.Common.Root.ActiveProgram',
+                                  () => this.stopProgram()))
+                return;
+
             // No action required unless a program is active
             let activeStates = [
                 'BSH.Common.EnumType.OperationState.DelayedStart',
@@ -334,7 +530,7 @@ module.exports = class HomeConnectDevice extends EventEmitter {
             if (commands === undefined) throw new Error('Empty response');
             return commands;
         } catch (err) {
-            if ((((err.response || {}).body || {}).error || {}).key == '404') {
+            if (err instanceof SDKError && err.key == '404') {
                 // Suppress error when the API is not supported
                 return [];
             }
@@ -347,8 +543,13 @@ module.exports = class HomeConnectDevice extends EventEmitter {
         let command = pause ? 'BSH.Common.Command.PauseProgram'
                             : 'BSH.Common.Command.ResumeProgram';
         try {
-            this.requireControl();
+            this.requireScope('Control');
             this.requireRemoteControl();
+            if (this.queueCommand('COMMAND ' + command,
+                                  'BSH.Common.Status.OperationState',
+                                  () => this.pauseProgram(pause)))
+                return;
+            this.requireConnected();
             return await this.api.setCommand(this.haId, command);
         } catch (err) {
             throw this.reportError(err, 'COMMAND ' + command);
@@ -358,8 +559,12 @@ module.exports = class HomeConnectDevice extends EventEmitter {
     // Set a specific option of the active program
     async setActiveProgramOption(optionKey, value) {
         try {
-            this.requireControl();
+            this.requireScope('Control');
             this.requireRemoteControl();
+            if (this.queueCommand('SET ' + optionKey + '=' + value, optionKey,
+                    () => this.setActiveProgramOption(optionKey, value)))
+                return;
+            this.requireConnected();
             await this.api.setActiveProgramOption(this.haId, optionKey, value);
             this.update([{ key: optionKey, value: value }]);
         } catch (err) {
@@ -367,6 +572,85 @@ module.exports = class HomeConnectDevice extends EventEmitter {
         }
     }
 
+    // Queue a change if the appliance is disconnected (and queuing is enabled)
+    // (the key identifies the item that the change is expected to affect)
+    queueCommand(description, key, operation) {
+        if (this.connected || !this.api.commandExpiry) return false;
+        let command = { description: description, key: key,
+                        operation: operation };
+        command.expiryScheduled = setTimeout(() => {
+            this.removeCommand(command);
+            this.revertCommand(command);
+            this.reportError(new ApplianceOfflineError(
+                'Appliance did not reconnect within ' + this.api.commandExpiry
+                + ' seconds; discarding queued change'), description);
+        }, this.api.commandExpiry * MS);
+        this.commandQueue.push(command);
+        this.log('Appliance disconnected; queued ' + description);
+        this.emit('commands_pending', this.commandQueue.length);
+        return true;
+    }
+
+    // Remove a change from the queue
+    removeCommand(command) {
+        clearTimeout(command.expiryScheduled);
+        this.commandQueue = this.commandQueue.filter(c => c !== command);
+        this.emit('commands_pending', this.commandQueue.length);
+    }
+
+    // Apply queued changes, in order, while the appliance is connected
+    async applyCommands() {
+        if (this.applyingCommands) return;
+        this.applyingCommands = true;
+        while (this.connected && this.commandQueue.length) {
+            let command = this.commandQueue[0];
+            this.removeCommand(command);
+            this.log('Applying queued ' + command.description);
+            try {
+                await command.operation();
+            } catch (err) {
+                // (the error has already been reported)
+                this.log('Queued ' + command.description + ' rejected');
+                this.revertCommand(command);
+
+                // Later changes may depend on this one, so discard them too
+                this.discardCommands();
+            }
+        }
+        delete this.applyingCommands;
+    }
+
+    // Restore the appliance's last known state after a queued change is not
+    // applied (HomeKit was told that the change succeeded when it was queued)
+    revertCommand(command) {
+        let item = this.items[command.key];
+        if (!item) return;
+        try {
+            this.emit(item.key, item);
+        } catch (err) {
+            this.reportError(err, 'Revert emit ' + this.describe(item));
+        }
+    }
+
+    // Discard all queued changes
+    discardCommands() {
+        for (let command of this.commandQueue) {
+            this.log('Discarding queued ' + command.description);
+            this.removeCommand(command);
+            this.revertCommand(command);
+        }
+    }
+
+    // Download any new images from the appliance's cameras
+    async updateImages() {
+        try {
+            this.requireScope('Images');
+            return await this.api.updateImages(this.haId);
+        } catch (err) {
+            throw this.reportError(err, 'GET images');
+        }
+    }
+
     // Wait for the appliance to be connected
     waitConnected(immediate = false) {
         // Check whether the appliance is already connected
@@ -464,15 +748,20 @@ module.exports = class HomeConnectDevice extends EventEmitter {
         if (this.readAllActions) return;
 
         // Construct a list of pending appliance state to read
+        // (skipping any that require a scope that has not been authorised)
         this.readAllActions = [
-            () => this.getAppliance(), // (checks connected and resets error)
-            () => this.getStatus(),
-            () => this.getSettings()
+            () => this.getAppliance() // (checks connected and resets error)
         ];
-        if (this.hasPrograms) this.readAllActions.push(
-            () => this.getSelectedProgram(),
-            () => this.getActiveProgram()
+        if (this.hasScope('Monitor')) this.readAllActions.push(
+            () => this.getStatus()
         );
+        if (this.hasScope('Settings')) this.readAllActions.push(
+            () => this.getSettings()
+        );
+        if (this.hasPrograms && this.hasScope('Monitor')) {
+            this.readAllActions.push(() => this.getSelectedProgram(),
+                                     () => this.getActiveProgram());
+        }
 
         // Schedule the pending reads
         if (!this.readAllScheduled) {
@@ -490,6 +779,7 @@ module.exports = class HomeConnectDevice extends EventEmitter {
                      + this.readAllActions.length + ' pending reads');
         }
         delete this.readAllActions;
+        this.api.cancelRequests(this.haId);
     }
 
     // Attempt to read all appliance state when connected
@@ -499,7 +789,12 @@ module.exports = class HomeConnectDevice extends EventEmitter {
             while (this.readAllActions && this.readAllActions.length) {
                 // Careful to avoid losing action if error or array replaced
                 let actions = this.readAllActions;
-                await actions[0]();
+                try {
+                    await actions[0]();
+                } catch (err) {
+                    // Skip reads that require a scope that has been denied
+                    if (!(err instanceof ScopeError)) throw err;
+                }
                 actions.shift();
             }
 
@@ -508,6 +803,7 @@ module.exports = class HomeConnectDevice extends EventEmitter {
             if (this.readAllActions) {
                 // Successfully read all appliance state
                 this.log('Successfully read all appliance state');
+                this.discardStaleItems();
                 delete this.api.readAllRetryDelay;
                 if (this.connected && !this.getItem('connected')) {
                     this.update([{ key: 'connected', value: true }]);
@@ -542,42 +838,52 @@ module.exports = class HomeConnectDevice extends EventEmitter {
     // Ensure that the appliance is connected
     requireConnected() {
         if (!this.connected)
-            throw new Error('The appliance is offline');
+            throw new ApplianceOfflineError('The appliance is offline');
     }
 
     // Ensure that IdentifyAppliance scope has been authorised
     requireIdentify() {
-        if (!this.api.hasScope('IdentifyAppliance'))
-            throw new Error('IdentifyAppliance scope has not been authorised');
+        this.requireScope('IdentifyAppliance');
     }
 
     // Ensure that Monitor scope has been authorised
     requireMonitor() {
-        if (!this.hasScope('Monitor'))
-            throw new Error('Monitor scope has not been authorised');
+        this.requireScope('Monitor');
         this.requireConnected();
     }
 
     // Ensure that Settings scope has been authorised
     requireSettings() {
-        if (!this.hasScope('Settings'))
-            throw new Error('Settings scope has not been authorised');
+        this.requireScope('Settings');
         this.requireConnected();
     }
 
     // Ensure that Control scope has been authorised
     requireControl() {
-        if (!this.hasScope('Control'))
-            throw new Error('Control scope has not been authorised');
+        this.requireScope('Control');
         this.requireConnected();
     }
 
+    // Ensure that a particular scope has been authorised
+    requireScope(scope) {
+        if (!this.hasScope(scope)) {
+            if (!this.requiredScopes.includes(scope)) {
+                this.requiredScopes.push(scope);
+                this.reportScopes();
+            }
+            throw new ScopeError(scope + ' scope has not been authorised',
+                                 scope);
+        }
+    }
+
     // Ensure that remote control is currently allowed
     requireRemoteControl() {
         if (this.getItem('BSH.Common.Status.LocalControlActive'))
-            throw new Error('Appliance is being manually controlled locally');
+            throw new SDKError('Appliance is being manually controlled locally',
+                               { key: 'SDK.Error.LocalControlActive' });
         if (this.getItem('BSH.Common.Status.RemoteControlActive') === false)
-            throw new Error('Remote control not enabled on the appliance');
+            throw new SDKError('Remote control not enabled on the appliance',
+                               { key: 'SDK.Error.RemoteControlNotActivated' });
     }
 
     // Ensure that remote start is currently allowed
@@ -585,13 +891,39 @@ module.exports = class HomeConnectDevice extends EventEmitter {
         this.requireRemoteControl();
         if (this.getItem('BSH.Common.Status.RemoteControlStartAllowed')
             === false)
-            throw new Error('Remote start not enabled on the appliance');
+            throw new SDKError('Remote start not enabled on the appliance',
+                               { key: 'SDK.Error.RemoteStartNotActivated' });
     }
 
     // Check whether a particular scope has been authorised
     hasScope(scope) {
+        if (this.deniedScopes.includes(scope)) return false;
         return this.api.hasScope(scope)
-            || this.api.hasScope(this.type + '-' + scope);
+            || this.api.hasScope(this.type + '-' + scope)
+            || (scope in SHARED_SCOPES
+                && this.api.hasScope(SHARED_SCOPES[scope]));
+    }
+
+    // A scope was rejected by the server, despite appearing to be authorised
+    denyScope(scope) {
+        if (this.deniedScopes.includes(scope)) return;
+        this.deniedScopes.push(scope);
+        this.log('Scope ' + scope + ' denied by server');
+        this.reportScopes();
+    }
+
+    // Report any scopes that have not been authorised (combining reports)
+    reportScopes() {
+        clearTimeout(this.scopesReportScheduled);
+        this.scopesReportScheduled = setTimeout(() => {
+            let used = new Set([...SCOPES_USED, ...this.requiredScopes,
+                                ...this.deniedScopes]);
+            let missing = [...used].filter(scope => !this.hasScope(scope));
+            if (!missing.length) return;
+            this.emit('scopes_missing', missing.map(scope =>
+                this.api.requestedScopes.includes(scope) ? scope
+                : SHARED_SCOPES[scope] || this.type + '-' + scope));
+        }, SCOPE_REPORT_DELAY * MS);
     }
 
     // Enable polling of selected/active programs when connected
@@ -599,6 +931,59 @@ module.exports = class HomeConnectDevice extends EventEmitter {
         this.hasPrograms = enable;
     }
 
+    // Start polling appliance state while the events stream is unavailable
+    startPolling() {
+        if (this.polling) return;
+        this.polling = true;
+        this.api.setPolling(this.haId, true);
+        this.log('Events stream unavailable; polling appliance state');
+        this.poll();
+    }
+
+    // Stop polling appliance state when events are being received again
+    stopPolling() {
+        if (!this.polling) return;
+        this.log('Events stream restored; stopped polling appliance state');
+        clearTimeout(this.pollScheduled);
+        delete this.polling;
+        this.api.setPolling(this.haId, false);
+    }
+
+    // Poll the appliance state, and schedule the next poll
+    async poll() {
+        // Construct a list of appliance state to read
+        let actions = [() => this.getAppliance()];
+        if (this.hasScope('Monitor')) actions.push(() => this.getStatus());
+        if (this.hasScope('Settings')) actions.push(() => this.getSettings());
+        if (this.hasPrograms && this.hasScope('Monitor')) {
+            actions.push(() => this.getActiveProgram());
+        }
+        let calls = actions.length;
+
+        // Read the appliance state, unless low on API quota
+        if (this.api.isQuotaLow()) {
+            this.log('Skipping poll of appliance state'
+                     + ' to conserve API quota');
+        } else {
+            try {
+                // Connection status first (which may trigger a full read)
+                await actions.shift()();
+                while (this.polling && this.connected
+                       && !this.readAllScheduled && actions.length) {
+                    await actions.shift()();
+                }
+            } catch (err) {
+                // Errors have already been reported
+            }
+        }
+
+        // Schedule the next poll
+        if (!this.polling) return;
+        let interval = this.api.getPollInterval(calls);
+        this.log('Polling appliance state again in ' + interval + ' seconds');
+        this.pollScheduled = setTimeout(() => this.poll(), interval * MS);
+    }
+
     // Process received events
     async eventListener(event) {
         let itemCount = event.data ? event.data.items.length : 0;
@@ -608,11 +993,14 @@ module.exports = class HomeConnectDevice extends EventEmitter {
         case 'START':
             // If appliance disconnected then check its current status
             clearTimeout(this.stopScheduled);
+            this.stopPolling();
             this.setConnectedState();
             break;
         case 'STOP':
-            // Disconnect appliance if too slow reestablishing event stream
+            // Poll or disconnect appliance if too slow reestablishing stream
+            clearTimeout(this.stopScheduled);
             this.stopScheduled = setTimeout(() => {
+                if (this.api.pollInterval) return this.startPolling();
                 this.log('Events may have been missed;'
                           + ' treating appliance as disconnected');
                 this.setConnectedState(false);
@@ -649,7 +1037,13 @@ module.exports = class HomeConnectDevice extends EventEmitter {
 
     // Report an error
     reportError(err, op) {
-        this.emit('error', err, op);
+        if (err instanceof ScopeError) {
+            // Missing scopes are reported separately
+            if (err.statusCode == 403) this.denyScope(err.scope);
+            this.log((op ? op + ': ' : '') + err.message);
+        } else {
+            this.emit('error', err, op);
+        }
         return err;
     }
 }
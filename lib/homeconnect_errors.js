@@ -0,0 +1,137 @@
+// Homebridge plugin for Home Connect home appliances
+// Copyright © 2019-2020 Alexander Thoukydides
+
+'use strict';
+
+// Error key returned by the Home Connect API when an appliance is offline
+const KEY_OFFLINE = 'SDK.Error.HomeAppliance.Connection.Initialization.Failed';
+
+// Plain explanations of appliance errors, with suggested fixes
+const SDK_ERROR_HELP = {
+    [KEY_OFFLINE]:
+        'The appliance is not connected to the Home Connect servers. Check that it is switched on and connected to the Wi-Fi network, for example using the Home Connect app.',
+    'SDK.Error.HomeAppliance.NotFound':
+        'The appliance is not registered to this Home Connect account. Check that it has not been removed using the Home Connect app.',
+    'SDK.Error.RemoteStartNotActivated':
+        'Remote start is not enabled. Press the remote start button on the appliance (or enable remote start in its settings) and try again.',
+    'SDK.Error.RemoteControlNotActivated':
+        'Remote control is not enabled. Enable remote control on the appliance (for some appliances this is in the Home Connect app settings) and try again.',
+    'SDK.Error.LocalControlActive':
+        'The appliance is being operated manually. Wait until its controls have not been used for a while and try again.',
+    'SDK.Error.WrongOperationState':
+        'The appliance cannot do this in its current state, for example while a program is running or a door is open. Wait until it is ready and try again.',
+    'SDK.Error.ProgramNotAvailable':
+        'The program cannot be started at the moment, for example because the appliance needs attention (such as refilling or a closed door) or another program is active.',
+    'SDK.Error.NoProgramSelected':
+        'No program is selected on the appliance. Select a program first.',
+    'SDK.Error.NoProgramActive':
+        'No program is running on the appliance.',
+    'SDK.Error.UnsupportedProgram':
+        'This program is not supported by the appliance via Home Connect. Remove it from the programs in the plugin configuration.',
+    'SDK.Error.UnsupportedOption':
+        'An option is not supported by this program. Check the options for this program in the plugin configuration.',
+    'SDK.Error.InvalidOptionValue':
+        'An option value is not valid for this program. Check the options for this program in the plugin configuration.',
+    'SDK.Error.UnsupportedSetting':
+        'The appliance does not support this setting via Home Connect.',
+    'SDK.Error.InvalidSettingState':
+        'The appliance does not accept this setting value in its current state.',
+    'SDK.Error.UnsupportedCommand':
+        'The appliance does not support this command in its current state.'
+};
+
+// Base class for all errors resulting from Home Connect API requests
+class HomeConnectError extends Error {
+
+    // Create a new error
+    // (options may include the statusCode, key, description, request, cause)
+    constructor(message, options = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.statusCode  = options.statusCode;
+        this.key         = options.key;
+        this.description = options.description;
+        this.request     = options.request;
+        this.cause       = options.cause;
+    }
+
+    // Whether the request can be retried
+    get retry() { return false; }
+}
+
+// Failure to reach the Home Connect servers (no response was received)
+class NetworkError extends HomeConnectError {
+
+    // The underlying error code, e.g. ENOTFOUND or ECONNREFUSED
+    get code() { return this.cause && this.cause.code; }
+}
+
+// Authorisation failure (OAuth error or invalid access token)
+class AuthError extends HomeConnectError {}
+
+// Scope required for an operation has not been authorised
+class ScopeError extends AuthError {
+
+    // Create a new error for a specific scope
+    constructor(message, scope, options) {
+        super(message, options);
+        this.scope = scope;
+    }
+}
+
+// Rate limit exceeded (retryAfter is in seconds, if specified by the server)
+class RateLimitError extends HomeConnectError {
+
+    // Create a new error with an optional delay before retrying
+    constructor(message, retryAfter, options) {
+        super(message, options);
+        this.retryAfter = retryAfter;
+    }
+
+    // Rate limited requests can be retried after a delay
+    get retry() { return true; }
+}
+
+// Error reported by an appliance (or on its behalf) with an SDK.Error.* key
+class SDKError extends HomeConnectError {
+
+    // Plain explanation of the error, with a suggested fix (if known)
+    get help() { return SDK_ERROR_HELP[this.key]; }
+}
+
+// Appliance is not currently connected to the Home Connect servers
+class ApplianceOfflineError extends SDKError {}
+
+// Queued request abandoned because the appliance disconnected
+class RequestCancelledError extends HomeConnectError {}
+
+// Construct an appropriate error for a Home Connect API error response
+// (options may also include the required scope and retryAfter delay)
+function fromAPIError(message, error, options) {
+    options = Object.assign({
+        key:            error.key,
+        description:    error.developerMessage || error.description
+    }, options);
+    switch (error.key) {
+    case 'invalid_token':
+        return new AuthError(message, options);
+    case '429':
+        return new RateLimitError(message, options.retryAfter, options);
+    case 'insufficient_scope':
+        return new ScopeError(message, options.scope, options);
+    case KEY_OFFLINE:
+        return new ApplianceOfflineError(message, options);
+    default:
+        return new SDKError(message, options);
+    }
+}
+
+module.exports.HomeConnectError      = HomeConnectError;
+module.exports.NetworkError          = NetworkError;
+module.exports.AuthError             = AuthError;
+module.exports.ScopeError            = ScopeError;
+module.exports.RateLimitError        = RateLimitError;
+module.exports.SDKError              = SDKError;
+module.exports.ApplianceOfflineError = ApplianceOfflineError;
+module.exports.RequestCancelledError = RequestCancelledError;
+module.exports.fromAPIError          = fromAPIError;
@@ -0,0 +1,146 @@
+// Homebridge plugin for Home Connect home appliances
+// Copyright © 2019-2020 Alexander Thoukydides
+
+'use strict';
+
+const Logging = require('./logging.js');
+
+const MS = 1000;
+
+// Home Connect rate limits (per client and user, over a rolling 24 hours)
+const QUOTA_PERIOD = 24 * 60 * 60 * MS; // (24 hours in milliseconds)
+const QUOTA_LIMITS = {
+    calls:      1000,   // API requests
+    refreshes:  100     // Access token refreshes
+};
+
+// Fraction of the quota reserved for essential requests
+const QUOTA_RESERVE = 0.2;
+
+// Delay before saving the counters to allow multiple updates to be combined
+const SAVE_DELAY = 10 * MS;
+
+// Accounting of the Home Connect API daily quota
+module.exports = class HomeConnectQuota {
+
+    // Initialise the quota accounting
+    constructor(log, persist, name) {
+        this.logRaw = log;
+        this.persist = persist;
+        this.name = name;
+        this.lowWarned = {};
+    }
+
+    // Record a request
+    record(type, haid, endpoint) {
+        this.prune();
+        this.history.push({
+            time:       Date.now(),
+            type:       type,
+            haid:       haid,
+            endpoint:   endpoint
+        });
+
+        // Warn once when the remaining quota becomes low
+        let remaining = this.remaining(type);
+        if (this.isLow(type)) {
+            if (!this.lowWarned[type]) {
+                this.warn('Home Connect API quota low: ' + remaining
+                          + ' of ' + QUOTA_LIMITS[type] + ' ' + type
+                          + ' remaining; deferring non-essential requests');
+                this.lowWarned[type] = true;
+            }
+        } else if (this.lowWarned[type]) {
+            this.log('Home Connect API quota recovered: ' + remaining
+                     + ' of ' + QUOTA_LIMITS[type] + ' ' + type
+                     + ' remaining');
+            delete this.lowWarned[type];
+        }
+
+        // Schedule saving the updated counters
+        this.save();
+    }
+
+    // Number of requests of a specific type in the current period
+    count(type) {
+        this.prune();
+        return this.history.filter(r => r.type == type).length;
+    }
+
+    // Number of requests of a specific type remaining in the current period
+    remaining(type) {
+        return Math.max(QUOTA_LIMITS[type] - this.count(type), 0);
+    }
+
+    // Maximum number of requests of a specific type in the period
+    limit(type = 'calls') {
+        return QUOTA_LIMITS[type];
+    }
+
+    // Check whether the quota is running low for non-essential requests
+    isLow(type = 'calls') {
+        return this.remaining(type) < QUOTA_LIMITS[type] * QUOTA_RESERVE;
+    }
+
+    // Summarise the requests in the current period
+    summary() {
+        this.prune();
+        let summary = { appliances: {}, endpoints: {} };
+        for (let type of Object.keys(QUOTA_LIMITS)) {
+            summary[type] = this.count(type);
+        }
+        let increment = (counts, key) => counts[key] = (counts[key] || 0) + 1;
+        for (let record of this.history.filter(r => r.type == 'calls')) {
+            if (record.haid) increment(summary.appliances, record.haid);
+            if (record.endpoint) increment(summary.endpoints, record.endpoint);
+        }
+        return summary;
+    }
+
+    // Discard requests that are older than the quota period
+    prune() {
+        if (!this.history) this.history = [];
+        let earliest = Date.now() - QUOTA_PERIOD;
+        let index = this.history.findIndex(r => earliest <= r.time);
+        if (index < 0) this.history = [];
+        else if (index) this.history.splice(0, index);
+    }
+
+    // Restore the counters from persistent storage
+    async load() {
+        if (!this.persist) return;
+        try {
+            let history = await this.persist.getItem(this.name);
+            if (history) {
+                // Merge with any requests recorded before loading completed
+                this.history = [...history, ...(this.history || [])];
+                let summary = this.summary();
+                this.debug('Home Connect API quota restored ('
+                           + summary.calls + ' calls and '
+                           + summary.refreshes + ' token refreshes'
+                           + ' in previous 24 hours)');
+            }
+        } catch (err) {
+            this.warn('Failed to restore Home Connect API quota: '
+                      + err.message);
+        }
+    }
+
+    // Schedule saving the counters
+    save() {
+        if (!this.persist || this.saveScheduled) return;
+        this.saveScheduled = setTimeout(async () => {
+            delete this.saveScheduled;
+            try {
+                this.prune();
+                await this.persist.setItem(this.name, this.history);
+            } catch (err) {
+                this.warn('Failed to save Home Connect API quota: '
+                          + err.message);
+            }
+        }, SAVE_DELAY);
+    }
+}
+
+// Shared logging methods
+Object.assign(module.exports.prototype, Logging);
@@ -0,0 +1,836 @@
+// Homebridge plugin for Home Connect home appliances
+// Copyright © 2019-2020 Alexander Thoukydides
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const url = require('url');
+const querystring = require('querystring');
+const Path = require('path');
+const fs = require('fs');
+const Logging = require('./logging.js');
+
+// Default port for the local stand-in server
+const DEFAULT_PORT = 8080;
+
+// Directory containing the bundled appliance profiles
+const PROFILE_DIR = Path.join(__dirname, 'server_profiles');
+
+// Lifetimes of the issued codes and tokens
+const DEVICE_CODE_LIFETIME = 10 * 60;       // (seconds)
+const DEVICE_CODE_INTERVAL = 2;             // (seconds)
+const ACCESS_TOKEN_LIFETIME = 24 * 60 * 60; // (seconds)
+
+// Interval between keep-alive events (the real server uses 55 seconds)
+const KEEP_ALIVE_INTERVAL = 55;             // (seconds)
+
+// Content types
+const TYPE_API = 'application/vnd.bsh.sdk.v1+json';
+const TYPE_EVENTS = 'text/event-stream';
+const TYPE_IMAGE = 'image/jpeg';
+
+// Placeholder camera image (a 1x1 pixel JPEG)
+const PLACEHOLDER_IMAGE = Buffer.from(
+    '/9j/4AAQSkZJRgABAQEAYABgAAD/2wBDAAgGBgcGBQgHBwcJCQgKDBQNDAsLDBkS'
+    + 'Ew8UHRofHh0aHBwgJC4nICIsIxwcKDcpLDAxNDQ0Hyc5PTgyPC4zNDL/wAALCAAB'
+    + 'AAEBAREA/8QAHwAAAQUBAQEBAQEAAAAAAAAAAAECAwQFBgcICQoL/8QAtRAAAgED'
+    + 'AwIEAwUFBAQAAAF9AQIDAAQRBRIhMUEGE1FhByJxgRQygZGhCCNCscEVUtHwJDNi'
+    + 'coIJChYXGBkaJSYnKCkqNDU2Nzg5OkNERUZHSElKU1RVVldYWVpjZGVmZ2hpanN0'
+    + 'dXZ3eHl6g4SFhoeIiYqSk5SVlpeYmZqio6Slpqeoqaqys7S1tre4ubrCw8TFxsfI'
+    + 'ycrS09TV1tfY2drh4uPk5ebn6Onq8fLz9PX29/j5+v/aAAgBAQAAPwD3+iiigD//'
+    + '2Q==', 'base64');
+
+const MS = 1000;
+
+// A local stand-in for the Home Connect servers, driven by appliance profiles
+class HomeConnectServer {
+
+    // Create a new stand-in server
+    constructor(options = {}) {
+        this.logRaw      = options.log;
+        this.port        = 'port' in options ? options.port : DEFAULT_PORT;
+        this.autoApprove = options.autoApprove !== false;
+        this.denyScopes  = options.denyScopes || [];
+
+        // Authorisation state
+        this.deviceCodes   = {};
+        this.authCodes     = {};
+        this.accessTokens  = new Map(); // (token to granted scopes)
+        this.refreshTokens = new Map();
+
+        // Event stream clients
+        this.streams = new Set();
+
+        // Load the appliance profiles
+        this.appliances = {};
+        for (let profile of options.profiles || []) this.addProfile(profile);
+    }
+
+    // Add an appliance from a profile (either a name, a path, or an object)
+    addProfile(profile) {
+        if (typeof profile == 'string') {
+            let file = /[\\/.]/.test(profile)
+                       ? profile : Path.join(PROFILE_DIR, profile + '.json');
+            profile = JSON.parse(fs.readFileSync(file, 'utf8'));
+        }
+
+        // Deep copy the profile to allow its state to be modified
+        profile = JSON.parse(JSON.stringify(profile));
+        let haId = profile.appliance.haId;
+        this.appliances[haId] = {
+            appliance:  profile.appliance,
+            status:     profile.status   || [],
+            settings:   profile.settings || [],
+            programs:   profile.programs || [],
+            commands:   profile.commands || [],
+            images:     profile.images   || [],
+            script:     profile.script   || [],
+            repeat:     profile.repeat   || false,
+            selected:   null,
+            active:     null
+        };
+        this.log('Added ' + profile.appliance.type + " '"
+                 + profile.appliance.name + "' (" + haId + ')');
+    }
+
+    // List the bundled appliance profiles
+    static bundledProfiles() {
+        return fs.readdirSync(PROFILE_DIR)
+                 .filter(file => file.endsWith('.json'))
+                 .map(file => file.replace(/\.json$/, ''));
+    }
+
+    // Start the server
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.handle(req, res));
+            this.server.on('error', reject);
+            this.server.listen(this.port, () => {
+                this.port = this.server.address().port;
+                this.log('Home Connect stand-in server listening on '
+                         + this.getURL());
+
+                // Start any scripted changes to the appliances
+                for (let haId of Object.keys(this.appliances))
+                    this.runScript(haId);
+
+                // Periodically send keep-alive events
+                this.keepAliveInterval = setInterval(() => {
+                    this.sendEvent(null, 'KEEP-ALIVE');
+                }, KEEP_ALIVE_INTERVAL * MS);
+                resolve(this.getURL());
+            });
+        });
+    }
+
+    // Stop the server
+    stop() {
+        clearInterval(this.keepAliveInterval);
+        for (let appliance of Object.values(this.appliances))
+            clearTimeout(appliance.scriptTimer);
+        for (let appliance of Object.values(this.appliances))
+            clearTimeout(appliance.programTimer);
+        for (let stream of this.streams) stream.res.end();
+        this.streams.clear();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    // The base URL of the server
+    getURL() {
+        return 'http://localhost:' + this.port;
+    }
+
+    // Handle a single request
+    async handle(req, res) {
+        let parsed = url.parse(req.url, true);
+        let path = parsed.pathname.replace(/\/+$/, '');
+        this.debug(req.method + ' ' + req.url);
+        try {
+            let body = await this.readBody(req);
+            if (path.startsWith('/security/oauth/')) {
+                this.handleOAuth(req, res, path, parsed.query, body);
+            } else if (path.startsWith('/api/homeappliances')) {
+                let scopes = this.requireToken(req);
+                this.handleAPI(req, res, path, body, scopes);
+            } else {
+                throw new HTTPError(404, '404', 'Unknown resource ' + path);
+            }
+        } catch (err) {
+            if (!(err instanceof HTTPError)) {
+                this.error('Request failed: ' + err.message);
+                err = new HTTPError(500, '500', err.message);
+            }
+            this.sendJSON(res, err.statusCode, err.body, err.headers);
+        }
+    }
+
+    // Read the body of a request
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let data = '';
+            req.setEncoding('utf8');
+            req.on('data', chunk => data += chunk);
+            req.on('error', reject);
+            req.on('end', () => {
+                let type = req.headers['content-type'] || '';
+                if (!data.length) {
+                    resolve({});
+                } else if (/json/.test(type)) {
+                    try {
+                        resolve(JSON.parse(data));
+                    } catch (err) {
+                        reject(new HTTPError(400, '400',
+                                             'Invalid JSON: ' + err.message));
+                    }
+                } else {
+                    resolve(querystring.parse(data));
+                }
+            });
+        });
+    }
+
+    // Handle an OAuth request
+    handleOAuth(req, res, path, query, body) {
+        switch (req.method + ' ' + path) {
+        case 'POST /security/oauth/device_authorization': {
+            if (!body.client_id) throw oauthError('invalid_request',
+                                                  'client_id missing');
+            let deviceCode = this.makeToken('device');
+            let userCode = crypto.randomBytes(4).toString('hex').toUpperCase();
+            let verify = this.getURL() + '/security/oauth/device_verify';
+            this.deviceCodes[deviceCode] = {
+                userCode:   userCode,
+                scope:      body.scope,
+                expires:    Date.now() + DEVICE_CODE_LIFETIME * MS,
+                approved:   false
+            };
+            return this.sendJSON(res, 200, {
+                device_code:               deviceCode,
+                user_code:                 userCode,
+                verification_uri:          verify,
+                verification_uri_complete: verify + '?user_code=' + userCode,
+                expires_in:                DEVICE_CODE_LIFETIME,
+                interval:                  DEVICE_CODE_INTERVAL
+            });
+        }
+
+        case 'GET /security/oauth/device_verify': {
+            let entry = Object.values(this.deviceCodes)
+                              .find(entry => entry.userCode == query.user_code);
+            if (!entry) throw oauthError('invalid_request', 'unknown user_code');
+            entry.approved = true;
+            this.log('Device code ' + query.user_code + ' approved');
+            res.writeHead(200, { 'content-type': 'text/plain' });
+            return res.end('Home Connect stand-in server: access granted\n');
+        }
+
+        case 'GET /security/oauth/authorize': {
+            let code = this.makeToken('code');
+            this.authCodes[code] = {
+                scope:          query.scope,
+                redirectURI:    query.redirect_uri,
+                challenge:      query.code_challenge,
+                method:         query.code_challenge_method
+            };
+            let redirect = (query.redirect_uri || this.getURL() + '/')
+                           + '?' + querystring.stringify({
+                               code:  code,
+                               state: query.state
+                           });
+            res.writeHead(302, { location: redirect });
+            return res.end();
+        }
+
+        case 'POST /security/oauth/token':
+            return this.sendJSON(res, 200, this.handleToken(body));
+
+        default:
+            throw oauthError('invalid_request', 'unsupported OAuth request');
+        }
+    }
+
+    // Issue an access token
+    handleToken(body) {
+        let scope;
+        switch (body.grant_type) {
+        case 'device_code': {
+            let entry = this.deviceCodes[body.device_code];
+            if (!entry || entry.expires < Date.now())
+                throw oauthError('expired_token', 'device code expired');
+            if (!entry.approved) {
+                // Approve automatically after the first poll, if enabled
+                entry.approved = this.autoApprove;
+                throw oauthError('authorization_pending',
+                                 'user has not yet authorised the device');
+            }
+            delete this.deviceCodes[body.device_code];
+            scope = this.grantScope(entry.scope);
+            break;
+        }
+
+        case 'authorization_code': {
+            let entry = this.authCodes[body.code];
+            if (!entry) throw oauthError('invalid_grant', 'invalid code');
+            delete this.authCodes[body.code];
+            if (entry.redirectURI && entry.redirectURI != body.redirect_uri)
+                throw oauthError('invalid_grant', 'redirect_uri mismatch');
+            if (entry.challenge) {
+                // Proof Key for Code Exchange (PKCE)
+                let verifier = body.code_verifier || '';
+                let challenge = entry.method == 'S256'
+                    ? crypto.createHash('sha256').update(verifier)
+                            .digest('base64').replace(/=+$/, '')
+                            .replace(/\+/g, '-').replace(/\//g, '_')
+                    : verifier;
+                if (challenge != entry.challenge)
+                    throw oauthError('invalid_grant', 'code_verifier mismatch');
+            }
+            scope = this.grantScope(entry.scope);
+            break;
+        }
+
+        case 'refresh_token':
+            if (!this.refreshTokens.has(body.refresh_token))
+                throw oauthError('invalid_grant', 'invalid refresh token');
+            scope = this.refreshTokens.get(body.refresh_token);
+            this.refreshTokens.delete(body.refresh_token);
+            break;
+
+        default:
+            throw oauthError('unsupported_grant_type',
+                             'unsupported grant_type ' + body.grant_type);
+        }
+
+        // Issue a new pair of tokens
+        let accessToken = this.makeToken('access');
+        let refreshToken = this.makeToken('refresh');
+        this.accessTokens.set(accessToken, scope);
+        this.refreshTokens.set(refreshToken, scope);
+        let token = {
+            access_token:   accessToken,
+            refresh_token:  refreshToken,
+            token_type:     'Bearer',
+            expires_in:     ACCESS_TOKEN_LIFETIME
+        };
+        if (scope) token.scope = scope;
+        return token;
+    }
+
+    // Remove any scopes that the user should be simulated as denying
+    grantScope(scope) {
+        if (!scope || !this.denyScopes.length) return scope;
+        let scopes = scope.split(/\s+/);
+        let denied = scopes.filter(s => this.denyScopes.includes(s));
+        if (denied.length) this.log('Denying scopes: ' + denied.join(', '));
+        return scopes.filter(s => !denied.includes(s)).join(' ');
+    }
+
+    // Check the access token supplied with an API request
+    // (returns the granted scopes, or undefined if none were requested)
+    requireToken(req) {
+        let auth = /^Bearer (.+)$/.exec(req.headers['authorization'] || '');
+        if (!auth || !this.accessTokens.has(auth[1]))
+            throw new HTTPError(401, 'invalid_token',
+                                'The access token is invalid');
+        let scope = this.accessTokens.get(auth[1]);
+        return scope ? scope.split(/\s+/) : undefined;
+    }
+
+    // Check that a scope (or its appliance-specific variant) has been granted
+    requireScope(scopes, scope, type) {
+        if (!scopes || scopes.includes(scope)) return;
+        if (type && (scopes.includes(type)
+                     || scopes.includes(type + '-' + scope))) return;
+        throw sdkError(403, 'insufficient_scope',
+                       'The access token does not include the '
+                       + (type ? type + '-' : '') + scope + ' scope');
+    }
+
+    // Handle a home appliances API request
+    handleAPI(req, res, path, body, scopes) {
+        // Split the path into its components
+        let parts = path.split('/').slice(3);
+        if (!parts.length) {
+            this.requireScope(scopes, 'IdentifyAppliance');
+            return this.sendData(res, {
+                homeappliances: Object.values(this.appliances)
+                                      .map(a => a.appliance)
+            });
+        }
+
+        // Events stream for all appliances
+        if (parts.length == 1 && parts[0] == 'events') {
+            this.requireScope(scopes, 'Monitor');
+            return this.startStream(req, res, null);
+        }
+
+        // Otherwise the request must be for a specific appliance
+        let haId = parts.shift();
+        let appliance = this.appliances[haId];
+        if (!appliance)
+            throw sdkError(404, 'SDK.Error.HomeAppliance.NotFound',
+                           'Unknown home appliance ' + haId);
+        let type = appliance.appliance.type;
+        if (!parts.length) {
+            this.requireScope(scopes, 'IdentifyAppliance', type);
+            return this.sendData(res, appliance.appliance);
+        }
+        let resource = parts.join('/');
+        if (resource == 'events') {
+            this.requireScope(scopes, 'Monitor', type);
+            return this.startStream(req, res, haId);
+        }
+
+        // Most requests require the appliance to be connected
+        if (!appliance.appliance.connected)
+            throw sdkError(409,
+                'SDK.Error.HomeAppliance.Connection.Initialization.Failed',
+                'HomeAppliance is offline');
+
+        // Dispatch the request
+        let [collection, ...rest] = parts;
+        this.requireScope(scopes, requiredScope(req.method, collection), type);
+        let result;
+        switch (req.method + ' ' + collection) {
+        case 'GET status':
+            result = this.getItems(appliance.status, rest, 'status',
+                                   'SDK.Error.UnsupportedStatus');
+            break;
+        case 'GET settings':
+            result = this.getItems(appliance.settings, rest, 'settings',
+                                   'SDK.Error.UnsupportedSetting');
+            break;
+        case 'PUT settings':
+            this.putSetting(appliance, rest[0], body.data || {});
+            return this.sendNoContent(res);
+        case 'GET programs':
+            result = this.getPrograms(appliance, rest);
+            break;
+        case 'PUT programs':
+            this.putProgram(appliance, rest, body.data || {});
+            return this.sendNoContent(res);
+        case 'DELETE programs':
+            if (rest.join('/') != 'active')
+                throw sdkError(404, '404', 'Unknown resource ' + resource);
+            this.stopProgram(appliance, true);
+            return this.sendNoContent(res);
+        case 'GET commands':
+            result = { commands: appliance.commands };
+            break;
+        case 'PUT commands':
+            this.putCommand(appliance, rest[0]);
+            return this.sendNoContent(res);
+        case 'GET images':
+            if (!rest.length) {
+                result = { images: appliance.images.map(image => {
+                    let { data, ...summary } = image;
+                    return summary;
+                }) };
+                break;
+            }
+            return this.sendImage(res, appliance, rest[0]);
+        default:
+            throw sdkError(404, '404', 'Unknown resource ' + resource);
+        }
+        this.sendData(res, result);
+    }
+
+    // Read a list of items, or a single item
+    getItems(items, rest, name, errorKey) {
+        if (!rest.length) return { [name]: items };
+        let item = items.find(item => item.key == rest[0]);
+        if (!item) throw sdkError(409, errorKey, rest[0] + ' not supported');
+        return item;
+    }
+
+    // Change a setting
+    putSetting(appliance, key, data) {
+        let setting = appliance.settings.find(s => s.key == key);
+        if (!setting || data.key != key)
+            throw sdkError(409, 'SDK.Error.UnsupportedSetting',
+                           key + ' not supported');
+        this.requireRemoteControl(appliance);
+        let allowed = (setting.constraints || {}).allowedvalues;
+        if (allowed && !allowed.includes(data.value))
+            throw sdkError(409, 'SDK.Error.InvalidSettingState',
+                           data.value + ' is not allowed for ' + key);
+        this.changeItems(appliance, 'settings', [{ key: key,
+                                                   value: data.value }]);
+    }
+
+    // Read the list of programs or a specific program
+    getPrograms(appliance, rest) {
+        let [which, ...more] = rest;
+        let summary = p => ({ key: p.key, name: p.name });
+        switch (which) {
+        case undefined:
+            return { programs: appliance.programs.map(summary) };
+        case 'available': {
+            if (!more.length) {
+                if (appliance.active)
+                    throw sdkError(409, 'SDK.Error.WrongOperationState',
+                                   'A program is active');
+                return { programs: appliance.programs.map(summary) };
+            }
+            let program = appliance.programs.find(p => p.key == more[0]);
+            if (!program)
+                throw sdkError(409, 'SDK.Error.ProgramNotAvailable',
+                               more[0] + ' is not available');
+            return {
+                key:     program.key,
+                name:    program.name,
+                options: program.options || []
+            };
+        }
+        case 'selected':
+        case 'active': {
+            let current = appliance[which];
+            if (!current)
+                throw sdkError(404, which == 'active'
+                               ? 'SDK.Error.NoProgramActive'
+                               : 'SDK.Error.NoProgramSelected',
+                               'No program ' + which);
+            if (!more.length) return current;
+            if (more[0] != 'options')
+                throw sdkError(404, '404', 'Unknown resource');
+            if (more.length == 1) return { options: current.options };
+            let option = current.options.find(o => o.key == more[1]);
+            if (!option)
+                throw sdkError(409, 'SDK.Error.UnsupportedOption',
+                               more[1] + ' not supported');
+            return option;
+        }
+        default:
+            throw sdkError(404, '404', 'Unknown resource');
+        }
+    }
+
+    // Select or start a program, or change its options
+    putProgram(appliance, rest, data) {
+        let [which, ...more] = rest;
+        if (which != 'selected' && which != 'active')
+            throw sdkError(404, '404', 'Unknown resource');
+        this.requireRemoteControl(appliance);
+
+        // Changing options of the selected or active program
+        if (more.length) {
+            let current = appliance[which];
+            if (!current)
+                throw sdkError(409, 'SDK.Error.WrongOperationState',
+                               'No program ' + which);
+            let options = more.length == 1 ? data.options || [] : [data];
+            for (let option of options) {
+                let existing = current.options.find(o => o.key == option.key);
+                if (existing) existing.value = option.value;
+                else current.options.push(option);
+            }
+            return this.sendEvent(appliance.appliance.haId, 'NOTIFY', options);
+        }
+
+        // Selecting or starting a program
+        let program = appliance.programs.find(p => p.key == data.key);
+        if (!program)
+            throw sdkError(409, 'SDK.Error.ProgramNotAvailable',
+                           data.key + ' is not available');
+        let options = (program.options || [])
+            .filter(o => o.constraints && 'default' in o.constraints)
+            .map(o => ({ key: o.key, value: o.constraints.default }));
+        for (let option of data.options || []) {
+            options = options.filter(o => o.key != option.key);
+            options.push({ key: option.key, value: option.value });
+        }
+        let current = { key: program.key, options: options };
+        if (which == 'selected') {
+            appliance.selected = current;
+            this.sendEvent(appliance.appliance.haId, 'NOTIFY', [{
+                key: 'BSH.Common.Root.SelectedProgram', value: program.key
+            }, ...options]);
+        } else {
+            if (this.getValue(appliance,
+                              'BSH.Common.Status.RemoteControlStartAllowed')
+                === false)
+                throw sdkError(403, 'SDK.Error.RemoteStartNotActivated',
+                               'Remote start is not enabled');
+            if (appliance.active)
+                throw sdkError(409, 'SDK.Error.WrongOperationState',
+                               'A program is already active');
+            this.startProgram(appliance, current, program.duration);
+        }
+    }
+
+    // Start a program running
+    startProgram(appliance, program, duration) {
+        appliance.active = program;
+        this.sendEvent(appliance.appliance.haId, 'NOTIFY', [{
+            key: 'BSH.Common.Root.ActiveProgram', value: program.key
+        }, ...program.options]);
+        this.changeItems(appliance, 'status', [{
+            key:   'BSH.Common.Status.OperationState',
+            value: 'BSH.Common.EnumType.OperationState.Run'
+        }]);
+
+        // Finish the program after its scripted duration (if any)
+        if (duration) {
+            this.changeItems(appliance, null, [{
+                key: 'BSH.Common.Option.RemainingProgramTime', value: duration
+            }]);
+            appliance.programTimer = setTimeout(() => {
+                this.stopProgram(appliance, false);
+            }, duration * MS);
+        }
+    }
+
+    // Stop the active program, either aborted or finished
+    stopProgram(appliance, aborted) {
+        clearTimeout(appliance.programTimer);
+        if (!appliance.active)
+            throw sdkError(409, 'SDK.Error.NoProgramActive', 'No program active');
+        appliance.active = null;
+        let haId = appliance.appliance.haId;
+        this.sendEvent(haId, 'NOTIFY', [{
+            key: 'BSH.Common.Root.ActiveProgram', value: null
+        }]);
+        this.changeItems(appliance, 'status', [{
+            key:   'BSH.Common.Status.OperationState',
+            value: aborted ? 'BSH.Common.EnumType.OperationState.Ready'
+                           : 'BSH.Common.EnumType.OperationState.Finished'
+        }]);
+        this.sendEvent(haId, 'EVENT', [{
+            key:   aborted ? 'BSH.Common.Event.ProgramAborted'
+                           : 'BSH.Common.Event.ProgramFinished',
+            value: 'BSH.Common.EnumType.EventPresentState.Present'
+        }]);
+    }
+
+    // Issue a command
+    putCommand(appliance, key) {
+        if (!appliance.commands.some(c => c.key == key))
+            throw sdkError(409, 'SDK.Error.UnsupportedCommand',
+                           key + ' not supported');
+        this.requireRemoteControl(appliance);
+        let state = {
+            'BSH.Common.Command.PauseProgram':
+                'BSH.Common.EnumType.OperationState.Pause',
+            'BSH.Common.Command.ResumeProgram':
+                'BSH.Common.EnumType.OperationState.Run'
+        }[key];
+        if (state) {
+            this.changeItems(appliance, 'status', [{
+                key: 'BSH.Common.Status.OperationState', value: state
+            }]);
+        }
+    }
+
+    // Ensure that the appliance allows remote control
+    requireRemoteControl(appliance) {
+        if (this.getValue(appliance, 'BSH.Common.Status.LocalControlActive'))
+            throw sdkError(409, 'SDK.Error.LocalControlActive',
+                           'The appliance is being operated locally');
+        if (this.getValue(appliance, 'BSH.Common.Status.RemoteControlActive')
+            === false)
+            throw sdkError(409, 'SDK.Error.RemoteControlNotActivated',
+                           'Remote control is not enabled');
+    }
+
+    // Read the current value of a status or setting
+    getValue(appliance, key) {
+        let item = appliance.status.find(i => i.key == key)
+                   || appliance.settings.find(i => i.key == key);
+        return item && item.value;
+    }
+
+    // Apply changes to an appliance's status or settings and notify clients
+    changeItems(appliance, collection, items) {
+        for (let change of items) {
+            let list = collection && appliance[collection];
+            let item = list && list.find(i => i.key == change.key);
+            if (item) item.value = change.value;
+            else if (list) list.push(Object.assign({}, change));
+        }
+        this.sendEvent(appliance.appliance.haId,
+                       collection == 'status' ? 'STATUS' : 'NOTIFY', items);
+    }
+
+    // Apply the scripted changes for an appliance
+    runScript(haId) {
+        let appliance = this.appliances[haId];
+        let step = 0;
+        let next = () => {
+            if (appliance.script.length <= step) {
+                if (!appliance.repeat || !appliance.script.length) return;
+                step = 0;
+            }
+            let action = appliance.script[step++];
+            appliance.scriptTimer = setTimeout(() => {
+                this.debug('Script ' + haId + ': ' + action.event);
+                this.applyScriptAction(appliance, action);
+                next();
+            }, (action.delay || 0) * MS);
+        };
+        next();
+    }
+
+    // Apply a single scripted change
+    applyScriptAction(appliance, action) {
+        let haId = appliance.appliance.haId;
+        switch (action.event) {
+        case 'CONNECTED':
+        case 'DISCONNECTED':
+            appliance.appliance.connected = action.event == 'CONNECTED';
+            this.sendEvent(haId, action.event);
+            break;
+        case 'STATUS':
+            this.changeItems(appliance, 'status', action.items);
+            break;
+        case 'NOTIFY':
+            this.changeItems(appliance, 'settings', action.items);
+            break;
+        case 'EVENT':
+            this.sendEvent(haId, 'EVENT', action.items);
+            break;
+        case 'START':
+            this.startProgram(appliance, {
+                key: action.program, options: action.options || []
+            }, action.duration);
+            break;
+        default:
+            this.warn('Unsupported scripted event: ' + action.event);
+        }
+    }
+
+    // Start an events stream
+    startStream(req, res, haId) {
+        if (req.method != 'GET')
+            throw sdkError(405, '405', 'Method not allowed');
+        res.writeHead(200, {
+            'content-type':  TYPE_EVENTS,
+            'cache-control': 'no-cache',
+            'connection':    'keep-alive'
+        });
+        res.flushHeaders();
+        let stream = { res: res, haId: haId };
+        this.streams.add(stream);
+        req.on('close', () => this.streams.delete(stream));
+        this.log('Events stream started for ' + (haId || 'all appliances'));
+    }
+
+    // Send an event to all interested event streams
+    sendEvent(haId, event, items) {
+        let data = '';
+        if (items) {
+            let timestamp = Math.floor(Date.now() / MS);
+            data = JSON.stringify({
+                haId:  haId,
+                items: items.map(item => Object.assign({
+                    timestamp: timestamp,
+                    handling:  'none',
+                    level:     'hint'
+                }, item))
+            });
+        }
+        let message = 'event: ' + event + '\n'
+                      + 'data: ' + data + '\n'
+                      + 'id: ' + (haId || '') + '\n\n';
+        for (let stream of this.streams) {
+            if (!haId || !stream.haId || stream.haId == haId)
+                stream.res.write(message);
+        }
+    }
+
+    // Send a successful API response
+    sendData(res, data) {
+        this.sendJSON(res, 200, { data: data });
+    }
+
+    // Send a camera image (using a placeholder if the profile has no data)
+    sendImage(res, appliance, imageKey) {
+        let image = appliance.images.find(i => i.imagekey == imageKey);
+        if (!image) throw sdkError(404, 'SDK.Error.UnsupportedImage',
+                                   imageKey + ' not found');
+        let data = image.data ? Buffer.from(image.data, 'base64')
+                              : PLACEHOLDER_IMAGE;
+        res.writeHead(200, { 'content-type': TYPE_IMAGE });
+        res.end(data);
+    }
+
+    // Send an empty response
+    sendNoContent(res) {
+        res.writeHead(204);
+        res.end();
+    }
+
+    // Send a JSON response
+    sendJSON(res, statusCode, body, headers = {}) {
+        res.writeHead(statusCode, Object.assign({
+            'content-type': TYPE_API
+        }, headers));
+        res.end(JSON.stringify(body));
+    }
+
+    // Generate a random token
+    makeToken(prefix) {
+        return prefix + '-' + crypto.randomBytes(24).toString('hex');
+    }
+}
+
+// Shared logging methods
+Object.assign(HomeConnectServer.prototype, Logging);
+
+// An error to return to the client
+class HTTPError extends Error {
+    constructor(statusCode, key, description, headers) {
+        super(description);
+        this.statusCode = statusCode;
+        this.headers = headers;
+        this.body = { error: { key: key, description: description } };
+    }
+}
+
+// Scope required for an appliance request
+function requiredScope(method, collection) {
+    if (collection == 'settings') return 'Settings';
+    if (collection == 'images') return 'Images';
+    return method == 'GET' ? 'Monitor' : 'Control';
+}
+
+// Construct an OAuth error response
+function oauthError(error, description) {
+    let err = new HTTPError(400, error, description);
+    err.body = { error: error, error_description: description };
+    return err;
+}
+
+// Construct a Home Connect API error response
+function sdkError(statusCode, key, description) {
+    return new HTTPError(statusCode, key, description);
+}
+
+module.exports = HomeConnectServer;
+
+// If this script is being run interactively then start a stand-in server
+if (!module.parent) {
+    // Parse the command line:
+    //   [--port <port>] [--manual] [--deny-scope <scope> ...] [<profile> ...]
+    let args = process.argv.slice(2);
+    let options = { profiles: [] };
+    while (args.length) {
+        let arg = args.shift();
+        if (arg == '--port') options.port = parseInt(args.shift(), 10);
+        else if (arg == '--manual') options.autoApprove = false;
+        else if (arg == '--deny-scope') {
+            options.denyScopes = options.denyScopes || [];
+            options.denyScopes.push(args.shift());
+        }
+        else options.profiles.push(arg);
+    }
+    if (!options.profiles.length)
+        options.profiles = HomeConnectServer.bundledProfiles();
+
+    // Start the server
+    let server = new HomeConnectServer(options);
+    server.start().catch(err => {
+        server.error('Failed to start server: ' + err.message);
+        process.exitCode = 1;
+    });
+}
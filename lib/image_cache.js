@@ -0,0 +1,160 @@
+// Homebridge plugin for Home Connect home appliances
+// Copyright © 2019-2020 Alexander Thoukydides
+
+'use strict';
+
+const crypto = require('crypto');
+const Path = require('path');
+const fsPromises = require('fs').promises;
+const Logging = require('./logging.js');
+
+// Default length of time to keep downloaded images
+const RETENTION_DEFAULT = 7;    // (days)
+
+// Maximum number of images to keep for each appliance
+const MAX_IMAGES = 100;
+
+// Name of the file listing the images for each appliance
+const INDEX_FILE = 'index.json';
+
+// Multiplier to convert seconds to milliseconds
+const MS = 1000;
+
+// On-disk cache of images downloaded from appliance cameras
+module.exports = class ImageCache {
+
+    // Create a new image cache
+    constructor(log, dir, retention = RETENTION_DEFAULT) {
+        this.logRaw = log;
+        this.dir = dir;
+        this.retention = retention;
+        this.indexes = {};
+    }
+
+    // Check whether an image has already been downloaded
+    async has(haId, imageKey) {
+        let index = await this.getIndex(haId);
+        return index.some(entry => entry.imageKey == imageKey);
+    }
+
+    // Save a downloaded image
+    // (the API does not identify which camera captured each image)
+    async save(haId, image, data) {
+        let index = await this.getIndex(haId);
+        let id = crypto.createHash('sha256').update(image.imagekey)
+                       .digest('hex').substring(0, 32);
+        let file = id + '.jpg';
+        await fsPromises.mkdir(this.applianceDir(haId), { recursive: true });
+        await fsPromises.writeFile(Path.join(this.applianceDir(haId), file),
+                                   data);
+        index.push({
+            imageKey:   image.imagekey,
+            timestamp:  image.timestamp,
+            quality:    image.quality,
+            saved:      Date.now(),
+            file:       file
+        });
+        await this.saveIndex(haId);
+        this.debug('Saved image ' + id + ' of ' + haId);
+    }
+
+    // All images of an appliance, most recent first
+    async images(haId) {
+        return (await this.getIndex(haId)).slice().sort(
+            (a, b) => this.isNewer(a, b) ? -1 : (this.isNewer(b, a) ? 1 : 0));
+    }
+
+    // The images from the most recent capture (those with the latest timestamp)
+    async latest(haId) {
+        let images = await this.images(haId);
+        if (!images.length) return [];
+        return images.filter(entry => entry.timestamp == images[0].timestamp);
+    }
+
+    // Read a specific image (identified by its file name)
+    async read(haId, file) {
+        let entry = (await this.getIndex(haId)).find(e => e.file == file);
+        if (!entry) return;
+        let data = await fsPromises.readFile(
+            Path.join(this.applianceDir(haId), entry.file));
+        return { entry: entry, data: data };
+    }
+
+    // List the appliances with cached images
+    async appliances() {
+        try {
+            let files = await fsPromises.readdir(this.dir,
+                                                 { withFileTypes: true });
+            return files.filter(file => file.isDirectory())
+                        .map(file => file.name);
+        } catch (err) {
+            if (err.code != 'ENOENT') this.error(err.message);
+            return [];
+        }
+    }
+
+    // Delete old images (always keeping those from the most recent capture)
+    async prune(haId) {
+        let index = await this.getIndex(haId);
+        let latest = await this.latest(haId);
+        let expired = Date.now() - this.retention * 24 * 60 * 60 * MS;
+        let keep = index.filter(entry => latest.includes(entry)
+                                         || expired < entry.saved)
+                        .sort((a, b) => b.saved - a.saved);
+        keep = keep.filter((entry, i) => i < MAX_IMAGES
+                                         || latest.includes(entry));
+        let remove = index.filter(entry => !keep.includes(entry));
+        if (!remove.length) return;
+
+        // Delete the image files and update the index
+        for (let entry of remove) {
+            try {
+                await fsPromises.unlink(
+                    Path.join(this.applianceDir(haId), entry.file));
+            } catch (err) {
+                if (err.code != 'ENOENT') this.error(err.message);
+            }
+        }
+        this.indexes[haId] = index.filter(entry => keep.includes(entry));
+        await this.saveIndex(haId);
+        this.debug('Deleted ' + remove.length + ' old images of ' + haId);
+    }
+
+    // Compare the age of two images (using the download time if necessary)
+    isNewer(entry, other) {
+        if (entry.timestamp != other.timestamp) {
+            return other.timestamp < entry.timestamp;
+        }
+        return other.saved < entry.saved;
+    }
+
+    // Retrieve the list of images for an appliance
+    async getIndex(haId) {
+        if (!this.indexes[haId]) {
+            try {
+                let file = Path.join(this.applianceDir(haId), INDEX_FILE);
+                this.indexes[haId] =
+                    JSON.parse(await fsPromises.readFile(file, 'utf8'));
+            } catch (err) {
+                if (err.code != 'ENOENT') this.error(err.message);
+                this.indexes[haId] = [];
+            }
+        }
+        return this.indexes[haId];
+    }
+
+    // Save the list of images for an appliance
+    async saveIndex(haId) {
+        let file = Path.join(this.applianceDir(haId), INDEX_FILE);
+        await fsPromises.writeFile(file,
+                                   JSON.stringify(this.indexes[haId]));
+    }
+
+    // Directory containing the images for an appliance
+    applianceDir(haId) {
+        return Path.join(this.dir, haId);
+    }
+}
+
+// Shared logging methods
+Object.assign(module.exports.prototype, Logging);
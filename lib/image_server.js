@@ -0,0 +1,129 @@
+// Homebridge plugin for Home Connect home appliances
+// Copyright © 2019-2020 Alexander Thoukydides
+
+'use strict';
+
+const http = require('http');
+const url = require('url');
+const Logging = require('./logging.js');
+
+// Local HTTP server for the images downloaded from appliance cameras
+module.exports = class ImageServer {
+
+    // Create a new server for an image cache
+    constructor(log, port, cache) {
+        this.logRaw = log;
+        this.port = port;
+        this.cache = cache;
+        this.names = {};
+    }
+
+    // Start the server
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) =>
+                this.handleRequest(req, res));
+            this.server.on('error', err => {
+                reject(new Error('Unable to serve camera images on port '
+                                 + this.port + ': ' + err.message));
+            });
+            this.server.listen(this.port, () => {
+                this.log('Serving appliance camera images on port '
+                         + this.port);
+                resolve();
+            });
+        });
+    }
+
+    // Stop the server
+    stop() {
+        if (this.server) this.server.close();
+        delete this.server;
+    }
+
+    // Set the name of an appliance shown on the index page
+    setName(haId, name) {
+        this.names[haId] = name;
+    }
+
+    // Handle a request to the server
+    async handleRequest(req, res) {
+        try {
+            if (req.method != 'GET') return this.sendNotFound(res);
+            let path = url.parse(req.url).pathname;
+            if (path == '/') return await this.sendIndex(res);
+
+            // A specific image: /<haId>/<file>.jpg
+            let parsed = /^\/([^/]+)\/([0-9a-f]+\.jpg)$/.exec(path);
+            let appliances = await this.cache.appliances();
+            if (!parsed || !appliances.includes(parsed[1])) {
+                return this.sendNotFound(res);
+            }
+            let image = await this.cache.read(parsed[1], parsed[2]);
+            if (!image) return this.sendNotFound(res);
+            res.writeHead(200, {
+                'content-type':     'image/jpeg',
+                'content-length':   image.data.length,
+                'cache-control':    'max-age=86400',
+                'last-modified':    new Date(image.entry.saved).toUTCString()
+            });
+            res.end(image.data);
+        } catch (err) {
+            this.error('Failed to serve camera image: ' + err.message);
+            res.writeHead(500, { 'content-type': 'text/plain' });
+            res.end('Internal server error\n');
+        }
+    }
+
+    // Return an index page showing the images from the most recent capture,
+    // and links to earlier images
+    // (the API does not identify which camera captured each image)
+    async sendIndex(res) {
+        let html = '<html><head><title>Home Connect Camera Images</title>'
+                   + '</head><body><h1>Home Connect Camera Images</h1>';
+        for (let haId of await this.cache.appliances()) {
+            html += '<h2>' + escapeHTML(this.names[haId] || haId) + '</h2>';
+            let src = entry => '/' + encodeURIComponent(haId) + '/'
+                               + entry.file;
+            let latest = await this.cache.latest(haId);
+            for (let entry of latest) {
+                html += '<figure><img src="' + src(entry) + '"><figcaption>'
+                        + describeImage(entry) + '</figcaption></figure>';
+            }
+            let earlier = (await this.cache.images(haId))
+                          .filter(entry => !latest.includes(entry));
+            if (earlier.length) {
+                html += '<ul>';
+                for (let entry of earlier) {
+                    html += '<li><a href="' + src(entry) + '">'
+                            + describeImage(entry) + '</a></li>';
+                }
+                html += '</ul>';
+            }
+        }
+        html += '</body></html>';
+        res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+        res.end(html);
+    }
+
+    // Return a not found error
+    sendNotFound(res) {
+        res.writeHead(404, { 'content-type': 'text/plain' });
+        res.end('Not found\n');
+    }
+}
+
+// Shared logging methods
+Object.assign(module.exports.prototype, Logging);
+
+// Describe an image using its capture time (or download time if unknown)
+function describeImage(entry) {
+    let time = entry.timestamp ? entry.timestamp * 1000 : entry.saved;
+    return escapeHTML(new Date(time).toLocaleString()
+                      + (entry.quality ? ' (' + entry.quality + ')' : ''));
+}
+
+// Escape text for inclusion in an HTML page
+function escapeHTML(text) {
+    return text.replace(/[&<>"']/g, c => '&#' + c.charCodeAt(0) + ';');
+}
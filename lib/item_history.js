@@ -0,0 +1,159 @@
+// Homebridge plugin for Home Connect home appliances
+// Copyright © 2019-2020 Alexander Thoukydides
+
+'use strict';
+
+// Maximum number of changes retained for each item
+const HISTORY_LENGTH = 200;
+
+// Maximum age of changes retained
+const HISTORY_MAX_AGE = 30 * 24 * 60 * 60;  // (seconds)
+
+// Delay before saving the history (to combine multiple changes)
+const SAVE_DELAY = 60;                      // (seconds)
+
+// Multiplier to convert seconds to milliseconds
+const MS = 1000;
+
+// Bounded and persistent history of changes to appliance items
+module.exports = class ItemHistory {
+
+    // Create a new history
+    constructor(log, persist, name) {
+        this.log = log;
+        this.persist = persist;
+        this.name = name + ' history';
+        this.history = {};
+    }
+
+    // Record the current value of an item
+    // (unchanged values are ignored unless each occurrence is significant)
+    record(item, { time = Date.now(), repeat = false } = {}) {
+        let ring = this.getRing(item.key);
+        let latest = this.latest(ring);
+        if (!repeat && latest && latest.value === item.value) return;
+        if (ring.entries.length < HISTORY_LENGTH) {
+            ring.entries.push({ time: time, value: item.value });
+        } else {
+            ring.entries[ring.start] = { time: time, value: item.value };
+            ring.start = (ring.start + 1) % HISTORY_LENGTH;
+        }
+        this.save();
+    }
+
+    // Changes to an item, oldest first, optionally limited to a time range
+    // (e.g. changes('BSH.Common.Status.OperationState',
+    //               { since: Date.now() - 7 * 24 * 60 * 60 * 1000 }))
+    changes(key, { since = 0, until = Infinity } = {}) {
+        return this.ordered(key).filter(
+            entry => since <= entry.time && entry.time <= until);
+    }
+
+    // The value of an item at a particular time (if known)
+    valueAt(key, time = Date.now()) {
+        let entry;
+        for (let candidate of this.ordered(key)) {
+            if (time < candidate.time) break;
+            entry = candidate;
+        }
+        return entry && entry.value;
+    }
+
+    // Number of times that an item changed to a particular value
+    count(key, value, range) {
+        return this.changes(key, range)
+                   .filter(entry => entry.value === value).length;
+    }
+
+    // Total time (milliseconds) spent with each value within a time range
+    // (e.g. durations('BSH.Common.Status.DoorState')
+    //           ['BSH.Common.EnumType.DoorState.Open'])
+    durations(key, { since = 0, until = Date.now() } = {}) {
+        let durations = {};
+        let entries = this.ordered(key);
+        entries.forEach((entry, index) => {
+            let next = entries[index + 1];
+            let start = Math.max(entry.time, since);
+            let end = Math.min(next ? next.time : Date.now(), until);
+            if (start < end) {
+                durations[entry.value] = (durations[entry.value] || 0)
+                                         + end - start;
+            }
+        });
+        return durations;
+    }
+
+    // Keys of all items with any recorded history
+    keys() {
+        return Object.keys(this.history);
+    }
+
+    // Changes to an item in chronological order (discarding old changes)
+    ordered(key) {
+        let ring = this.history[key];
+        if (!ring) return [];
+        let oldest = Date.now() - HISTORY_MAX_AGE * MS;
+        return [...ring.entries.slice(ring.start),
+                ...ring.entries.slice(0, ring.start)]
+            .filter(entry => oldest <= entry.time);
+    }
+
+    // The most recent change to an item
+    latest(ring) {
+        if (!ring.entries.length) return;
+        let index = (ring.start || ring.entries.length) - 1;
+        return ring.entries[index];
+    }
+
+    // Retrieve (or create) the ring buffer for an item
+    getRing(key) {
+        if (!this.history[key]) this.history[key] = { start: 0, entries: [] };
+        return this.history[key];
+    }
+
+    // Restore the history, merging any changes already recorded
+    async load() {
+        if (!this.persist) return;
+        let saved = await this.persist.getItem(this.name) || {};
+        let recorded = this.keys().map(key => [key, this.ordered(key)]);
+        this.history = saved;
+        for (let [key, entries] of recorded) {
+            for (let entry of entries) {
+                this.record({ key: key, value: entry.value },
+                            { time: entry.time, repeat: true });
+            }
+        }
+        this.log('Restored history of ' + this.keys().length + ' items');
+    }
+
+    // Schedule saving the history
+    save() {
+        if (!this.persist || this.saveScheduled) return;
+        this.saveScheduled = setTimeout(async () => {
+            delete this.saveScheduled;
+            try {
+                await this.persist.setItem(this.name, this.prune());
+            } catch (err) {
+                this.log('Failed to save item history: ' + err.message);
+            }
+        }, SAVE_DELAY * MS);
+    }
+
+    // Discard old changes, returning the history to save
+    prune() {
+        for (let key of this.keys()) {
+            let entries = this.ordered(key);
+            if (entries.length) {
+                this.history[key] = { start: 0, entries: entries };
+            } else {
+                delete this.history[key];
+            }
+        }
+        return this.history;
+    }
+
+    // Stop any pending save
+    stop() {
+        clearTimeout(this.saveScheduled);
+    }
+}
@@ -0,0 +1,13 @@
+// Homebridge plugin for Home Connect home appliances
+// Copyright © 2019-2020 Alexander Thoukydides
+
+'use strict';
+
+// Logging methods for classes that save a Homebridge logger as logRaw
+// (falling back to the console if there is no logger, e.g. when run directly)
+module.exports = {
+    error(msg)  { this.logRaw ? this.logRaw.error(msg) : console.error(msg); },
+    warn(msg)   { this.logRaw ? this.logRaw.warn(msg)  : console.warn(msg);  },
+    log(msg)    { this.logRaw ? this.logRaw.info(msg)  : console.log(msg);   },
+    debug(msg)  { this.logRaw ? this.logRaw.debug(msg) : console.debug(msg); }
+};
@@ -0,0 +1,122 @@
+// Homebridge plugin for Home Connect home appliances
+// Copyright © 2019-2020 Alexander Thoukydides
+
+'use strict';
+
+const EventEmitter = require('events');
+const dns = require('dns');
+const net = require('net');
+const url = require('url');
+const Logging = require('./logging.js');
+
+// Error codes that indicate that the network (rather than a server) has failed
+const OUTAGE_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ENETDOWN',
+                      'ENETUNREACH', 'EHOSTDOWN', 'EHOSTUNREACH'];
+
+// Delays between connectivity probes (doubling after each failure)
+const PROBE_INITIAL = 15;       // (seconds)
+const PROBE_MAXIMUM = 5 * 60;   // (seconds)
+
+// Timeout for each connectivity probe
+const PROBE_TIMEOUT = 10;       // (seconds)
+
+// Multiplier to convert seconds to milliseconds
+const MS = 1000;
+
+// Detection of network-wide outages, and probing for their recovery
+module.exports = class NetworkMonitor extends EventEmitter {
+
+    // Create a new monitor for connectivity to a server (or its proxy)
+    constructor(log, uri, network) {
+        super();
+        this.logRaw = log;
+        let target = network && network.proxy && !network.isNoProxy(uri)
+                     ? network.proxy : uri;
+        let parsed = url.parse(target);
+        this.host = parsed.hostname;
+        this.port = parsed.port || (parsed.protocol == 'https:' ? 443 : 80);
+        this.onlineResolve = [];
+    }
+
+    // Check whether there is currently an outage
+    isOffline() {
+        return Boolean(this.outage);
+    }
+
+    // Wait until there is no outage
+    waitOnline() {
+        if (!this.outage) return Promise.resolve();
+        return new Promise(resolve => this.onlineResolve.push(resolve));
+    }
+
+    // A request failed, returning whether this indicates an outage
+    failed(err) {
+        let cause = err.cause || err;
+        let isOutage = OUTAGE_CODES.includes(cause.code)
+                       || (cause.code == 'ETIMEDOUT' && cause.connect);
+        if (!isOutage) return false;
+        if (!this.outage) {
+            this.outage = { since: Date.now(), reason: cause.code };
+            this.warn('Unable to reach Home Connect servers (' + cause.code
+                      + '); pausing until network connectivity is restored');
+            this.emit('offline');
+            this.probe();
+        }
+        return true;
+    }
+
+    // A response was received, so connectivity has been restored
+    succeeded() {
+        if (this.outage) this.restored();
+    }
+
+    // Periodically probe connectivity until it is restored
+    async probe() {
+        let delay = PROBE_INITIAL;
+        while (this.outage) {
+            await new Promise(resolve => {
+                this.probeScheduled = setTimeout(resolve, delay * MS);
+            });
+            if (!this.outage) return;
+            try {
+                await this.probeOnce();
+                this.restored();
+            } catch (err) {
+                this.debug('Network connectivity probe failed: ' + err.message);
+                delay = Math.min(delay * 2, PROBE_MAXIMUM);
+            }
+        }
+    }
+
+    // Resolve the server's name and open (and close) a TCP connection
+    async probeOnce() {
+        let { address } = await dns.promises.lookup(this.host);
+        await new Promise((resolve, reject) => {
+            let socket = net.connect({ host: address, port: this.port });
+            socket.setTimeout(PROBE_TIMEOUT * MS, () => {
+                socket.destroy();
+                reject(new Error('Connection timed out'));
+            });
+            socket.on('connect', () => {
+                socket.end();
+                resolve();
+            });
+            socket.on('error', reject);
+        });
+    }
+
+    // Connectivity has been restored
+    restored() {
+        let duration = Math.round((Date.now() - this.outage.since) / MS);
+        this.log('Home Connect servers reachable again after '
+                 + duration + ' seconds; resuming');
+        clearTimeout(this.probeScheduled);
+        delete this.outage;
+        for (let resolve of this.onlineResolve) resolve();
+        this.onlineResolve = [];
+        this.emit('online');
+    }
+}
+
+// Shared logging methods
+Object.assign(module.exports.prototype, Logging);
@@ -0,0 +1,92 @@
+// Homebridge plugin for Home Connect home appliances
+// Copyright © 2019-2020 Alexander Thoukydides
+
+'use strict';
+
+const fs = require('fs');
+const tls = require('tls');
+const url = require('url');
+const Logging = require('./logging.js');
+
+// Proxy and TLS trust options applied to all Home Connect requests
+module.exports = class NetworkOptions {
+
+    // Create a new set of network options
+    constructor(log, options = {}) {
+        this.logRaw = log;
+
+        // Proxy server (ignored if invalid)
+        if (options.proxy) {
+            let parsed = url.parse(options.proxy);
+            if (['http:', 'https:'].includes(parsed.protocol)
+                && parsed.hostname) {
+                this.proxy = options.proxy;
+            } else {
+                this.error("Ignoring invalid proxy URL '" + options.proxy
+                           + "'; it must be an http: or https: URL");
+            }
+        }
+
+        // Hosts (optionally with a port) that should not use the proxy
+        this.noProxy = (options.noProxy || []).map(zone => {
+            let [hostname, port] = zone.trim().toLowerCase().split(':', 2);
+            if (hostname != '*') hostname = hostname.replace(/^\*?\.?/, '');
+            return { hostname: hostname, port: port };
+        }).filter(zone => zone.hostname.length);
+
+        // Additional trusted CA certificates (in addition to Node's own)
+        let certificates = [];
+        for (let file of options.ca || []) {
+            try {
+                certificates.push(fs.readFileSync(file, 'utf8'));
+                this.debug('Loaded CA certificates from ' + file);
+            } catch (err) {
+                this.error('Unable to read CA certificates: ' + err.message);
+            }
+        }
+        if (certificates.length) {
+            this.ca = [...tls.rootCertificates, ...certificates];
+        }
+    }
+
+    // Describe the options in use
+    describe() {
+        let parts = [];
+        if (this.proxy) {
+            let parsed = url.parse(this.proxy);
+            parts.push('proxy ' + parsed.protocol + '//' + parsed.host);
+            if (this.noProxy.length) {
+                parts.push('except for ' + this.noProxy.map(zone =>
+                    zone.hostname + (zone.port ? ':' + zone.port : ''))
+                                                   .join(', '));
+            }
+        }
+        if (this.ca) parts.push('additional CA certificates');
+        return parts.join(', ');
+    }
+
+    // Apply the options to a request
+    apply(options) {
+        if (this.proxy) {
+            // (an explicit null prevents use of any HTTP_PROXY variable)
+            options.proxy = this.isNoProxy(options.url) ? null : this.proxy;
+        }
+        if (this.ca) options.ca = this.ca;
+        return options;
+    }
+
+    // Check whether a URL should bypass the proxy
+    isNoProxy(uri) {
+        let parsed = url.parse(uri);
+        let hostname = parsed.hostname.toLowerCase();
+        let port = parsed.port || (parsed.protocol == 'https:' ? '443' : '80');
+        return this.noProxy.some(zone => {
+            if (zone.port && zone.port != port) return false;
+            return zone.hostname == '*' || hostname == zone.hostname
+                   || hostname.endsWith('.' + zone.hostname);
+        });
+    }
+}
+
+// Shared logging methods
+Object.assign(module.exports.prototype, Logging);
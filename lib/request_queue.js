@@ -0,0 +1,79 @@
+// Homebridge plugin for Home Connect home appliances
+// Copyright © 2019-2020 Alexander Thoukydides
+
+'use strict';
+
+// Request priorities (lower values are issued first)
+const PRIORITY_WRITE = 0;   // Changes requested via HomeKit
+const PRIORITY_READ  = 1;   // Background reads of appliance state
+
+// A priority queue of requests with a limit on concurrency
+class RequestQueue {
+
+    // Create a new queue
+    constructor(log, concurrency) {
+        this.log = log;
+        this.concurrency = concurrency;
+        this.active = 0;
+        this.queued = [];
+        this.sequence = 0;
+    }
+
+    // Add an operation to the queue
+    add(priority, haid, operation) {
+        return new Promise((resolve, reject) => {
+            // Insert after any other requests with the same or higher priority
+            let request = {
+                priority:   priority,
+                haid:       haid,
+                operation:  operation,
+                resolve:    resolve,
+                reject:     reject,
+                sequence:   ++this.sequence
+            };
+            let index = this.queued.findIndex(r => priority < r.priority);
+            if (index < 0) this.queued.push(request);
+            else this.queued.splice(index, 0, request);
+
+            // Start the request immediately if possible
+            this.dispatch();
+        });
+    }
+
+    // Start as many queued requests as allowed
+    dispatch() {
+        while (this.active < this.concurrency && this.queued.length) {
+            let request = this.queued.shift();
+            if (this.queued.length) {
+                this.log('Request #' + request.sequence + ' started ('
+                         + this.queued.length + ' queued)');
+            }
+            ++this.active;
+            (async () => {
+                try {
+                    request.resolve(await request.operation());
+                } catch (err) {
+                    request.reject(err);
+                } finally {
+                    --this.active;
+                    this.dispatch();
+                }
+            })();
+        }
+    }
+
+    // Cancel queued (but not active) low priority requests for an appliance
+    cancel(haid, err) {
+        let cancel = this.queued.filter(r => r.haid == haid
+                                             && PRIORITY_WRITE < r.priority);
+        if (!cancel.length) return;
+        this.log('Cancelling ' + cancel.length + ' queued requests for '
+                 + haid);
+        this.queued = this.queued.filter(r => !cancel.includes(r));
+        for (let request of cancel) request.reject(err);
+    }
+}
+
+module.exports = RequestQueue;
+module.exports.PRIORITY_WRITE = PRIORITY_WRITE;
+module.exports.PRIORITY_READ  = PRIORITY_READ;
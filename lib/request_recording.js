@@ -0,0 +1,280 @@
+// Homebridge plugin for Home Connect home appliances
+// Copyright © 2019-2020 Alexander Thoukydides
+
+'use strict';
+
+const requestErrors = require('request-promise-native/errors');
+const url = require('url');
+const fs = require('fs');
+const Logging = require('./logging.js');
+const fsPromises = fs.promises;
+
+// Version of the recording file format
+const RECORDING_VERSION = 2;
+
+// Properties that are redacted from recorded requests and responses
+const REDACT_KEYS = ['access_token', 'refresh_token', 'id_token',
+                     'device_code', 'user_code', 'code', 'state',
+                     'client_id', 'client_secret', 'code_verifier',
+                     'verification_uri_complete'];
+const REDACTED = 'REDACTED';
+
+// Response headers that are recorded (and those containing URLs to redact)
+const RECORD_HEADERS = ['content-type', 'date', 'location', 'retry-after'];
+const URL_HEADERS = ['location'];
+
+// Record or replay Home Connect request and event stream traffic
+module.exports = class RequestRecording {
+
+    // Create a new recording or load a recording to replay
+    constructor(log, mode, file) {
+        this.logRaw = log;
+        this.mode = mode;
+        this.file = file;
+        this.sequence = 0;
+        this.startTime = Date.now();
+
+        // Prepare the recording file
+        if (mode == 'record') {
+            this.log('Recording Home Connect requests to ' + file);
+            this.output = fs.createWriteStream(file, { flags: 'w' });
+            this.output.on('error', err => {
+                this.error('Failed to write recording: ' + err.message);
+                delete this.output;
+            });
+            this.write({ type: 'header', version: RECORDING_VERSION,
+                         created: new Date().toISOString() });
+        } else if (mode == 'replay') {
+            this.log('Replaying Home Connect requests from ' + file);
+            this.ready = this.load();
+        } else {
+            throw new Error("Unsupported recording mode '" + mode + "'");
+        }
+    }
+
+    // Check whether requests are being replayed
+    isReplay() {
+        return this.mode == 'replay';
+    }
+
+    // Record or replay a normal request
+    async request(options, issue) {
+        if (this.isReplay()) return this.replayRequest(options);
+
+        // Record the request and its outcome
+        let id = this.recordRequest(options);
+        try {
+            let body = await issue();
+            this.write({ id: id, type: 'response', statusCode: 200,
+                         body: this.redactBody(body) });
+            return body;
+        } catch (err) {
+            if (err.name == 'StatusCodeError') {
+                this.write({ id: id, type: 'response',
+                             statusCode: err.statusCode,
+                             headers: this.pickHeaders(err.response.headers),
+                             body: this.redactBody(err.response.body) });
+            } else {
+                this.write({ id: id, type: 'error', message: err.message,
+                             cause: err.cause && err.cause.code });
+            }
+            throw err;
+        }
+    }
+
+    // Record or replay a streamed request
+    stream(options, callbackData, callbackDone, issue) {
+        if (this.isReplay()) {
+            return this.replayStream(options, callbackData, callbackDone);
+        }
+
+        // Record the request and everything received
+        let id = this.recordRequest(options);
+        return issue(chunk => {
+            this.write(chunk === undefined ? { id: id, type: 'start' }
+                                           : { id: id, type: 'data',
+                                               chunk: String(chunk) });
+            callbackData(chunk);
+        }, err => {
+            this.write({ id: id, type: 'done',
+                         message: err ? err.message : undefined });
+            callbackDone(err);
+        });
+    }
+
+    // Record a new request
+    recordRequest(options) {
+        let id = ++this.sequence;
+        this.write({
+            id:     id,
+            type:   'request',
+            method: options.method,
+            url:    this.redactURL(options.url),
+            qs:     this.redact(options.qs),
+            form:   this.redact(options.form),
+            body:   this.redactBody(options.body)
+        });
+        return id;
+    }
+
+    // Replay the response to a normal request
+    async replayRequest(options) {
+        let exchange = await this.findExchange(options, 'response', 'error');
+        await this.sleep(exchange.latency);
+
+        // Recreate the original response or error
+        let entry = exchange.entries[0];
+        if (entry.type == 'error') {
+            let cause = new Error(entry.message);
+            cause.code = entry.cause;
+            throw new requestErrors.RequestError(cause, options);
+        }
+        if (entry.statusCode == 200) {
+            if (options.encoding === null && entry.body && entry.body.base64) {
+                return Buffer.from(entry.body.base64, 'base64');
+            }
+            return entry.body;
+        }
+        let response = {
+            statusCode: entry.statusCode,
+            headers:    entry.headers || {},
+            body:       entry.body
+        };
+        throw new requestErrors.StatusCodeError(entry.statusCode, entry.body,
+                                                options, response);
+    }
+
+    // Replay a streamed request, preserving the original timing
+    replayStream(options, callbackData, callbackDone) {
+        let aborted = false;
+        (async () => {
+            try {
+                let exchange = await this.findExchange(options, 'start',
+                                                       'data', 'done');
+                let previous = exchange.requestTime;
+                for (let entry of exchange.entries) {
+                    await this.sleep(entry.time - previous);
+                    previous = entry.time;
+                    if (aborted) return;
+                    switch (entry.type) {
+                    case 'start': callbackData();            break;
+                    case 'data':  callbackData(entry.chunk); break;
+                    case 'done':
+                        return callbackDone(entry.message
+                                            ? new Error(entry.message) : null);
+                    }
+                }
+                // (the original stream was aborted, so leave this one idle)
+            } catch (err) {
+                if (!aborted) callbackDone(err);
+            }
+        })();
+        return { abort: () => aborted = true };
+    }
+
+    // Find (and consume) the next recorded exchange matching a request
+    async findExchange(options, ...types) {
+        await this.ready;
+        let path = this.redactURL(options.url).replace(/^\w+:\/\/[^/]+/, '');
+        let index = this.exchanges.findIndex(exchange =>
+            exchange.method == options.method && exchange.path == path);
+        if (index < 0) {
+            throw new Error('No recorded response for ' + options.method
+                            + ' ' + path);
+        }
+        let [exchange] = this.exchanges.splice(index, 1);
+        exchange.entries = exchange.entries.filter(
+            entry => types.includes(entry.type));
+        return exchange;
+    }
+
+    // Load a recording
+    async load() {
+        let data = await fsPromises.readFile(this.file, 'utf8');
+        let requests = {};
+        this.exchanges = [];
+        for (let line of data.split('\n').filter(line => line.length)) {
+            let entry = JSON.parse(line);
+            if (entry.type == 'header') {
+                if (entry.version != RECORDING_VERSION)
+                    throw new Error('Unsupported recording version '
+                                    + entry.version);
+            } else if (entry.type == 'request') {
+                let exchange = requests[entry.id] = {
+                    method:      entry.method,
+                    path:        entry.url.replace(/^\w+:\/\/[^/]+/, ''),
+                    requestTime: entry.time,
+                    latency:     0,
+                    entries:     []
+                };
+                this.exchanges.push(exchange);
+            } else if (requests[entry.id]) {
+                let exchange = requests[entry.id];
+                if (!exchange.entries.length)
+                    exchange.latency = entry.time - exchange.requestTime;
+                exchange.entries.push(entry);
+            }
+        }
+        this.log('Loaded ' + this.exchanges.length + ' recorded requests');
+    }
+
+    // Write an entry to the recording
+    write(entry) {
+        if (!this.output) return;
+        entry.time = Date.now() - this.startTime;
+        this.output.write(JSON.stringify(entry) + '\n');
+    }
+
+    // Select the response headers to record
+    pickHeaders(headers = {}) {
+        let picked = {};
+        for (let key of RECORD_HEADERS) {
+            if (!(key in headers)) continue;
+            picked[key] = URL_HEADERS.includes(key)
+                          ? this.redactURL(headers[key]) : headers[key];
+        }
+        return picked;
+    }
+
+    // Remove sensitive values from a URL's query string
+    redactURL(requestURL) {
+        let parsed = url.parse(requestURL, true);
+        if (!parsed.search) return requestURL;
+        parsed.query = this.redact(parsed.query);
+        delete parsed.search;
+        return url.format(parsed);
+    }
+
+    // Remove sensitive values from a body that may be unparsed JSON
+    // (binary bodies, such as images, are recorded as base64)
+    redactBody(body) {
+        if (Buffer.isBuffer(body)) return { base64: body.toString('base64') };
+        if (typeof body != 'string') return this.redact(body);
+        try {
+            return JSON.stringify(this.redact(JSON.parse(body)));
+        } catch (err) {
+            return body;
+        }
+    }
+
+    // Remove sensitive values from an object
+    redact(value) {
+        if (Array.isArray(value)) return value.map(v => this.redact(v));
+        if (!value || typeof value != 'object') return value;
+        let redacted = {};
+        for (let key of Object.keys(value)) {
+            redacted[key] = REDACT_KEYS.includes(key) ? REDACTED
+                                                      : this.redact(value[key]);
+        }
+        return redacted;
+    }
+
+    // Sleep for a specified number of milliseconds
+    sleep(milliseconds) {
+        return new Promise(resolve => setTimeout(resolve,
+                                                 Math.max(milliseconds, 0)));
+    }
+}
+
+// Shared logging methods
+Object.assign(module.exports.prototype, Logging);
@@ -0,0 +1,296 @@
+// Homebridge plugin for Home Connect home appliances
+// Copyright © 2019-2020 Alexander Thoukydides
+
+'use strict';
+
+const crypto = require('crypto');
+const Path = require('path');
+const fsPromises = require('fs').promises;
+const { promisify } = require('util');
+const Logging = require('./logging.js');
+const scrypt = promisify(crypto.scrypt);
+
+// Encryption parameters
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;  // (bytes)
+const IV_LENGTH = 12;   // (bytes)
+const SALT_LENGTH = 16; // (bytes)
+
+// Name of the persistent storage item and machine-bound key file
+const PERSIST_NAME = 'token';
+const KEY_FILE = 'token.key';
+
+// Lock file coordinating token refreshes between Homebridge instances
+const LOCK_FILE = 'token.lock';
+const LOCK_STALE = 60;      // (seconds)
+const LOCK_POLL = 0.5;      // (seconds)
+
+// Multiplier to convert seconds to milliseconds
+const MS = 1000;
+
+// Encrypted storage of Home Connect authorisation tokens
+module.exports = class TokenStore {
+
+    // Create a new token store
+    constructor(log, persist, path, secret) {
+        this.logRaw = log;
+        this.persist = persist;
+        this.path = path;
+        this.secret = secret;
+    }
+
+    // Retrieve the saved tokens, migrating or discarding them if necessary
+    async load() {
+        let saved = await this.persist.getItem(PERSIST_NAME);
+        if (!saved) saved = await this.loadLegacy();
+        if (!saved) {
+            this.warn('No saved authorisation data found');
+            return {};
+        }
+
+        // Migrate plaintext tokens
+        if (!saved.encrypted) {
+            this.log('Encrypting previously saved authorisation data');
+            await this.save(saved);
+            await this.deleteLegacy();
+            return saved;
+        }
+
+        // Decrypt the tokens
+        try {
+            let tokens = await this.decrypt(saved);
+            if (saved.kdf != this.getKDF()) {
+                this.log('Re-encrypting saved authorisation data using '
+                         + this.describeKDF());
+                await this.save(tokens);
+            }
+            return tokens;
+        } catch (err) {
+            this.error('Unable to decrypt saved authorisation data ('
+                       + err.message + '); Home Connect re-authorisation'
+                       + ' is required. (Check whether the tokensecret'
+                       + ' has been changed or the ' + KEY_FILE
+                       + ' file has been deleted.)');
+            return {};
+        }
+    }
+
+    // Retrieve the saved tokens, possibly written by another instance
+    // (no migration, and an empty object if they cannot be read)
+    async reload() {
+        try {
+            let saved = await this.persist.getItem(PERSIST_NAME);
+            if (saved && saved.encrypted) return await this.decrypt(saved);
+        } catch (err) {
+            this.debug('Unable to reload saved authorisation data: '
+                       + err.message);
+        }
+        return {};
+    }
+
+    // Perform an operation while holding the lock shared with other
+    // instances, waiting for any tokens it saves to be written
+    // (calls within this process are also serialised)
+    lock(operation) {
+        let locked = async () => {
+            await this.lockAcquire();
+            try {
+                let result = await operation();
+                await this.saved;
+                return result;
+            } finally {
+                await this.lockRelease();
+            }
+        };
+        this.locked = (this.locked || Promise.resolve()).then(locked, locked);
+        return this.locked;
+    }
+
+    // Create the lock file, waiting while another instance holds it
+    async lockAcquire() {
+        let file = this.lockFile();
+        let waiting = false;
+        while (true) {
+            try {
+                await fsPromises.writeFile(file, String(process.pid),
+                                           { mode: 0o600, flag: 'wx' });
+                return;
+            } catch (err) {
+                if (err.code != 'EEXIST') throw err;
+            }
+
+            // Remove the lock file if its owner appears to have died
+            try {
+                let stat = await fsPromises.stat(file);
+                if (LOCK_STALE * MS < Date.now() - stat.mtimeMs) {
+                    this.warn('Removing stale authorisation lock file '
+                              + file);
+                    await fsPromises.unlink(file);
+                    continue;
+                }
+            } catch (err) {
+                if (err.code != 'ENOENT') throw err;
+                continue;
+            }
+
+            // Wait before trying again
+            if (!waiting) {
+                this.debug('Waiting for another Homebridge instance to'
+                           + ' finish refreshing the authorisation tokens');
+                waiting = true;
+            }
+            await new Promise(resolve => setTimeout(resolve, LOCK_POLL * MS));
+        }
+    }
+
+    // Delete the lock file (unless it has been removed by another instance)
+    async lockRelease() {
+        let file = this.lockFile();
+        try {
+            let pid = await fsPromises.readFile(file, 'utf8');
+            if (pid == String(process.pid)) await fsPromises.unlink(file);
+        } catch (err) {
+            if (err.code != 'ENOENT') this.error(err.message);
+        }
+    }
+
+    // Path of the lock file
+    lockFile() {
+        return Path.join(this.path, LOCK_FILE);
+    }
+
+    // Save the tokens (serialised to avoid write races)
+    save(tokens) {
+        let save = async () => {
+            let encrypted = await this.encrypt(tokens);
+            await this.persist.setItem(PERSIST_NAME, encrypted);
+        };
+        this.saved = (this.saved || Promise.resolve()).then(save, save);
+        return this.saved;
+    }
+
+    // Encrypt the tokens
+    async encrypt(tokens) {
+        let kdf = this.getKDF();
+        let salt = crypto.randomBytes(SALT_LENGTH);
+        let key = await this.getKey(kdf, salt);
+        let iv = crypto.randomBytes(IV_LENGTH);
+        let cipher = crypto.createCipheriv(CIPHER, key, iv);
+        let data = Buffer.concat([cipher.update(JSON.stringify(tokens), 'utf8'),
+                                  cipher.final()]);
+        return {
+            encrypted:  1,
+            kdf:        kdf,
+            salt:       salt.toString('base64'),
+            iv:         iv.toString('base64'),
+            tag:        cipher.getAuthTag().toString('base64'),
+            data:       data.toString('base64')
+        };
+    }
+
+    // Decrypt the tokens
+    async decrypt(saved) {
+        let key = await this.getKey(saved.kdf,
+                                    Buffer.from(saved.salt, 'base64'));
+        let decipher = crypto.createDecipheriv(
+            CIPHER, key, Buffer.from(saved.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(saved.tag, 'base64'));
+        let data = Buffer.concat([
+            decipher.update(Buffer.from(saved.data, 'base64')),
+            decipher.final()]);
+        return JSON.parse(data.toString('utf8'));
+    }
+
+    // The key derivation to use for new data
+    getKDF() {
+        return this.secret ? 'scrypt' : 'keyfile';
+    }
+
+    // Description of the key derivation
+    describeKDF() {
+        return this.secret ? 'the configured tokensecret'
+                           : 'the key file ' + this.keyFile();
+    }
+
+    // Derive the encryption key
+    async getKey(kdf, salt) {
+        switch (kdf) {
+        case 'scrypt':
+            if (!this.secret) throw new Error('no tokensecret configured');
+            return scrypt(this.secret, salt, KEY_LENGTH);
+
+        case 'keyfile':
+            let keyFile = await this.readKeyFile();
+            return crypto.createHmac('sha256', keyFile).update(salt).digest();
+
+        default:
+            throw new Error("unsupported key derivation '" + kdf + "'");
+        }
+    }
+
+    // Read (or create) the machine-bound key file
+    async readKeyFile() {
+        if (this.keyFileData) return this.keyFileData;
+        let file = this.keyFile();
+        try {
+            this.keyFileData = await fsPromises.readFile(file);
+        } catch (err) {
+            if (err.code != 'ENOENT') throw err;
+            this.keyFileData = await this.createKeyFile(file);
+        }
+        return this.keyFileData;
+    }
+
+    // Create the key file, or read it if another instance created it first
+    // (written to a temporary file and then linked, so never read incomplete)
+    async createKeyFile(file) {
+        let data = crypto.randomBytes(KEY_LENGTH);
+        let temp = file + '.' + crypto.randomBytes(8).toString('hex');
+        await fsPromises.writeFile(temp, data, { mode: 0o600 });
+        try {
+            await fsPromises.link(temp, file);
+            this.log('Created key file ' + file
+                     + ' to encrypt authorisation data');
+            return data;
+        } catch (err) {
+            if (err.code != 'EEXIST') throw err;
+            this.debug('Using key file ' + file
+                       + ' created by another Homebridge instance');
+            return await fsPromises.readFile(file);
+        } finally {
+            await fsPromises.unlink(temp).catch(err => this.debug(
+                'Unable to delete ' + temp + ': ' + err.message));
+        }
+    }
+
+    // Path of the machine-bound key file
+    keyFile() {
+        return Path.join(this.path, KEY_FILE);
+    }
+
+    // Attempt to load any old auth data saved by node-persist 0.0.8
+    async loadLegacy() {
+        try {
+            let data = await fsPromises.readFile(this.legacyFile());
+            let saved = JSON.parse(data);
+            this.warn('Old format authorsation data retrieved');
+            return saved;
+        } catch (err) {}
+    }
+
+    // Delete any old auth data saved by node-persist 0.0.8
+    async deleteLegacy() {
+        try {
+            await fsPromises.unlink(this.legacyFile());
+            this.debug('Deleted old format authorisation data');
+        } catch (err) {}
+    }
+
+    // Path of old auth data saved by node-persist 0.0.8
+    legacyFile() {
+        return Path.join(this.path, 'token');
+    }
+}
+
+// Shared logging methods
+Object.assign(module.exports.prototype, Logging);
@@ -0,0 +1,74 @@
+// Homebridge plugin for Home Connect home appliances
+// Copyright © 2019-2020 Alexander Thoukydides
+
+'use strict';
+
+const assert = require('assert');
+const EventStreamParser = require('../lib/event_stream_parser.js');
+
+// Parse a sequence of chunks, returning the events and comments received
+function parse(chunks, parser) {
+    let events = [], comments = [];
+    parser = parser || new EventStreamParser(event => events.push(event),
+                                             comment => comments.push(comment));
+    for (let chunk of chunks) parser.write(chunk);
+    return { events, comments, parser };
+}
+
+describe('EventStreamParser', () => {
+
+    it('parses an event with multiple data lines', () => {
+        let { events } = parse(['event: STATUS\ndata: {"a":1}\n',
+                                'data: {"b":2}\nid: HAID\n\n']);
+        assert.deepStrictEqual(events, [{ event: 'STATUS',
+                                          data: '{"a":1}\n{"b":2}',
+                                          id: 'HAID' }]);
+    });
+
+    it('handles lines and characters split across chunks', () => {
+        let text = Buffer.from('event: NOTIFY\r\ndata: café\r\n\r\n');
+        let split = text.indexOf(0xA9);
+        let chunks = [text.slice(0, 15), text.slice(15, split),
+                      text.slice(split, split + 1), text.slice(split + 1)];
+        let { events } = parse(chunks);
+        assert.deepStrictEqual(events, [{ event: 'NOTIFY', data: 'café',
+                                          id: undefined }]);
+    });
+
+    it('treats a CRLF split across chunks as a single line ending', () => {
+        let { events } = parse(['event: A\r', '\ndata: x\r', '\n\r', '\n']);
+        assert.strictEqual(events.length, 1);
+        assert.strictEqual(events[0].data, 'x');
+    });
+
+    it('dispatches events without data but not empty events', () => {
+        let { events } = parse(['event: KEEP-ALIVE\n\n', '\n\n',
+                                'unknown: field\n\n']);
+        assert.deepStrictEqual(events, [{ event: 'KEEP-ALIVE', data: '',
+                                          id: undefined }]);
+    });
+
+    it('reports comments separately', () => {
+        let { events, comments } = parse([': keep-alive\n\n']);
+        assert.deepStrictEqual(events, []);
+        assert.deepStrictEqual(comments, [': keep-alive']);
+    });
+
+    it('remembers the last event id and retry time', () => {
+        let { events, parser } = parse(['id: ONE\nevent: A\n\n',
+                                        'event: B\nretry: 5000\n\n',
+                                        'retry: soon\n\n']);
+        assert.deepStrictEqual(events.map(e => e.id), ['ONE', undefined]);
+        assert.strictEqual(parser.lastEventId, 'ONE');
+        assert.strictEqual(parser.retry, 5000);
+    });
+
+    it('discards a partial event when reset', () => {
+        let events = [];
+        let parser = new EventStreamParser(event => events.push(event));
+        parser.write('event: PARTIAL\ndata: lost');
+        parser.reset();
+        parser.write('event: COMPLETE\n\n');
+        assert.deepStrictEqual(events.map(e => e.event), ['COMPLETE']);
+    });
+});
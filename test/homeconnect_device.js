@@ -0,0 +1,94 @@
+// Homebridge plugin for Home Connect home appliances
+// Copyright © 2019-2020 Alexander Thoukydides
+
+'use strict';
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const HomeConnectDevice = require('../lib/homeconnect_device.js');
+
+const HAID = 'BOSCH-HCS000000-0123456789AB';
+const DOOR = 'BSH.Common.Status.DoorState';
+const CLOSED = 'BSH.Common.EnumType.DoorState.Closed';
+const OPEN = 'BSH.Common.EnumType.DoorState.Open';
+
+// Minimal stand-ins for the API and persistent storage
+class FakeAPI extends EventEmitter {
+    constructor() { super(); this.requestedScopes = []; }
+    hasScope()       { return true; }
+    cancelRequests() {}
+    setPolling()     {}
+}
+class FakePersist {
+    constructor(items) { this.items = items; }
+    async getItem(key) { return this.items[key]; }
+    async setItem(key, value) { this.items[key] = value; }
+}
+
+// Wait for any replayed items to be delivered
+const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+describe('HomeConnectDevice restored state', () => {
+    let device;
+
+    beforeEach(async () => {
+        let persist = new FakePersist({
+            [HAID + ' state']: {
+                [DOOR]: { item: { key: DOOR, value: CLOSED },
+                          updated: Date.now() }
+            }
+        });
+        device = new HomeConnectDevice(() => {}, new FakeAPI(),
+                                       { haId: HAID, name: 'Test',
+                                         type: 'Dishwasher',
+                                         connected: false },
+                                       persist);
+        await settle();
+    });
+
+    afterEach(() => device.stop());
+
+    it('replays restored state once to a late listener', async () => {
+        let values = [];
+        device.on(DOOR, item => values.push([item.value, item.stale]));
+        await settle();
+        assert.deepStrictEqual(values, [[CLOSED, true]]);
+    });
+
+    it('does not replay a value that was updated before delivery', async () => {
+        let values = [];
+        device.on(DOOR, item => values.push(item.value));
+        device.update([{ key: DOOR, value: OPEN }]);
+        await settle();
+        assert.deepStrictEqual(values, [OPEN]);
+    });
+
+    it('does not replay to a listener that was removed', async () => {
+        let values = [];
+        let listener = item => values.push(item.value);
+        device.on(DOOR, listener);
+        device.off(DOOR, listener);
+        await settle();
+        assert.deepStrictEqual(values, []);
+    });
+
+    it('does not replay confirmed or discarded state', async () => {
+        device.update([{ key: DOOR, value: CLOSED }]);
+        let values = [];
+        device.on(DOOR, item => values.push(item.value));
+        device.discardStaleItems();
+        await settle();
+        assert.deepStrictEqual(values, []);
+        assert.strictEqual(device.getItem(DOOR), CLOSED);
+    });
+
+    it('discards unconfirmed state without notifying listeners', async () => {
+        let values = [];
+        device.on(DOOR, item => values.push(item.value));
+        await settle();
+        device.discardStaleItems();
+        await settle();
+        assert.deepStrictEqual(values, [CLOSED]);
+        assert.strictEqual(device.getItem(DOOR), undefined);
+    });
+});
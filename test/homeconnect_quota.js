@@ -0,0 +1,64 @@
+// Homebridge plugin for Home Connect home appliances
+// Copyright © 2019-2020 Alexander Thoukydides
+
+'use strict';
+
+const assert = require('assert');
+const HomeConnectQuota = require('../lib/homeconnect_quota.js');
+
+// Home Connect rate limits (per client and user, over a rolling 24 hours)
+const LIMIT_CALLS     = 1000;
+const LIMIT_REFRESHES = 100;
+
+// Capture log messages
+function logger() {
+    let messages = [];
+    let log = level => msg => messages.push(level + ': ' + msg);
+    return { messages, error: log('error'), warn: log('warn'),
+             info: log('info'), debug: log('debug') };
+}
+
+describe('HomeConnectQuota', () => {
+
+    it('counts requests by type, appliance, and endpoint', () => {
+        let quota = new HomeConnectQuota(logger());
+        quota.record('calls', 'ha1', 'GET /status');
+        quota.record('calls', 'ha1', 'GET /settings');
+        quota.record('calls', 'ha2', 'GET /status');
+        quota.record('refreshes');
+        assert.deepStrictEqual(quota.summary(), {
+            calls:      3,
+            refreshes:  1,
+            appliances: { ha1: 2, ha2: 1 },
+            endpoints:  { 'GET /status': 2, 'GET /settings': 1 }
+        });
+        assert.strictEqual(quota.remaining('calls'), LIMIT_CALLS - 3);
+    });
+
+    it('warns once when the quota becomes low', () => {
+        let log = logger();
+        let quota = new HomeConnectQuota(log);
+        let reserve = LIMIT_REFRESHES * 0.2;
+        for (let i = 0; i < LIMIT_REFRESHES - reserve; ++i) {
+            quota.record('refreshes');
+        }
+        assert(!quota.isLow('refreshes'));
+        quota.record('refreshes');
+        quota.record('refreshes');
+        assert(quota.isLow('refreshes'));
+        assert(!quota.isLow('calls'));
+        assert.strictEqual(log.messages.filter(
+            msg => msg.startsWith('warn:')).length, 1);
+    });
+
+    it('discards requests older than 24 hours', () => {
+        let quota = new HomeConnectQuota(logger());
+        quota.prune();
+        let old = Date.now() - 25 * 60 * 60 * 1000;
+        quota.history.push({ time: old, type: 'calls' },
+                           { time: old, type: 'refreshes' });
+        quota.record('calls');
+        assert.strictEqual(quota.count('calls'), 1);
+        assert.strictEqual(quota.count('refreshes'), 0);
+    });
+});
@@ -0,0 +1,79 @@
+// Homebridge plugin for Home Connect home appliances
+// Copyright © 2019-2020 Alexander Thoukydides
+
+'use strict';
+
+const assert = require('assert');
+const ItemHistory = require('../lib/item_history.js');
+
+const KEY = 'BSH.Common.Status.DoorState';
+const OPEN = 'BSH.Common.EnumType.DoorState.Open';
+const CLOSED = 'BSH.Common.EnumType.DoorState.Closed';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Minimal stand-in for node-persist
+class FakePersist {
+    constructor(items = {}) { this.items = items; }
+    async getItem(key) { return this.items[key]; }
+    async setItem(key, value) { this.items[key] = value; }
+}
+
+describe('ItemHistory', () => {
+    let now;
+
+    beforeEach(() => { now = Date.now(); });
+
+    it('records changes but ignores unchanged values', () => {
+        let history = new ItemHistory(() => {});
+        history.record({ key: KEY, value: OPEN },   { time: now - 4 * HOUR });
+        history.record({ key: KEY, value: OPEN },   { time: now - 3 * HOUR });
+        history.record({ key: KEY, value: CLOSED }, { time: now - 2 * HOUR });
+        history.record({ key: KEY, value: CLOSED },
+                       { time: now - HOUR, repeat: true });
+        assert.deepStrictEqual(history.changes(KEY).map(entry => entry.time),
+                               [now - 4 * HOUR, now - 2 * HOUR, now - HOUR]);
+        assert.deepStrictEqual(
+            history.changes(KEY, { since: now - 3 * HOUR }).length, 2);
+        assert.strictEqual(history.count(KEY, CLOSED), 2);
+    });
+
+    it('reports values at a time and durations', () => {
+        let history = new ItemHistory(() => {});
+        history.record({ key: KEY, value: OPEN },   { time: now - 3 * HOUR });
+        history.record({ key: KEY, value: CLOSED }, { time: now - 2 * HOUR });
+        assert.strictEqual(history.valueAt(KEY, now - 4 * HOUR), undefined);
+        assert.strictEqual(history.valueAt(KEY, now - 150 * 60 * 1000), OPEN);
+        assert.strictEqual(history.valueAt(KEY), CLOSED);
+        assert.deepStrictEqual(history.durations(KEY, { until: now }),
+                               { [OPEN]: HOUR, [CLOSED]: 2 * HOUR });
+    });
+
+    it('limits the number and age of changes retained', () => {
+        let history = new ItemHistory(() => {});
+        history.record({ key: KEY, value: 'old' }, { time: now - 31 * DAY });
+        for (let i = 0; i < 250; ++i) {
+            history.record({ key: KEY, value: i },
+                           { time: now - (250 - i) * 1000 });
+        }
+        let changes = history.changes(KEY);
+        assert.strictEqual(changes.length, 200);
+        assert.strictEqual(changes[0].value, 50);
+        assert.strictEqual(changes[199].value, 249);
+        assert.strictEqual(history.latest(history.getRing(KEY)).value, 249);
+    });
+
+    it('merges changes recorded before the history was restored', async () => {
+        let persist = new FakePersist({ 'ha history': {
+            [KEY]: { start: 0, entries: [{ time: now - 2 * HOUR,
+                                           value: OPEN }] }
+        } });
+        let history = new ItemHistory(() => {}, persist, 'ha');
+        history.record({ key: KEY, value: CLOSED }, { time: now - HOUR });
+        await history.load();
+        history.stop();
+        assert.deepStrictEqual(history.changes(KEY).map(entry => entry.value),
+                               [OPEN, CLOSED]);
+    });
+});
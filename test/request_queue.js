@@ -0,0 +1,73 @@
+// Homebridge plugin for Home Connect home appliances
+// Copyright © 2019-2020 Alexander Thoukydides
+
+'use strict';
+
+const assert = require('assert');
+const RequestQueue = require('../lib/request_queue.js');
+const { PRIORITY_WRITE, PRIORITY_READ } = RequestQueue;
+
+// An operation that completes when explicitly resolved
+function deferred(started, name) {
+    let operation = () => new Promise((resolve, reject) => {
+        started.push(name);
+        operation.resolve = resolve;
+        operation.reject = reject;
+    });
+    return operation;
+}
+
+describe('RequestQueue', () => {
+
+    it('limits the number of concurrent operations', async () => {
+        let queue = new RequestQueue(() => {}, 2);
+        let started = [];
+        let ops = ['a', 'b', 'c'].map(name => deferred(started, name));
+        let results = ops.map(op => queue.add(PRIORITY_READ, 'ha', op));
+        assert.deepStrictEqual(started, ['a', 'b']);
+        ops[0].resolve('A');
+        assert.strictEqual(await results[0], 'A');
+        assert.deepStrictEqual(started, ['a', 'b', 'c']);
+    });
+
+    it('starts writes before queued reads', async () => {
+        let queue = new RequestQueue(() => {}, 1);
+        let started = [];
+        let first = deferred(started, 'first');
+        let pending = queue.add(PRIORITY_READ, 'ha', first);
+        queue.add(PRIORITY_READ,  'ha', deferred(started, 'read1'));
+        queue.add(PRIORITY_READ,  'ha', deferred(started, 'read2'));
+        queue.add(PRIORITY_WRITE, 'ha', deferred(started, 'write'));
+        first.resolve();
+        await pending;
+        assert.deepStrictEqual(started, ['first', 'write']);
+    });
+
+    it('rejects an operation that fails', async () => {
+        let queue = new RequestQueue(() => {}, 1);
+        let err = new Error('failed');
+        await assert.rejects(queue.add(PRIORITY_READ, 'ha',
+                                       async () => { throw err; }),
+                             err);
+        assert.strictEqual(queue.active, 0);
+    });
+
+    it('cancels only queued reads for the appliance', async () => {
+        let queue = new RequestQueue(() => {}, 1);
+        let started = [];
+        let active = deferred(started, 'active');
+        let results = [
+            queue.add(PRIORITY_READ,  'ha1', active),
+            queue.add(PRIORITY_READ,  'ha1', deferred(started, 'read1')),
+            queue.add(PRIORITY_WRITE, 'ha1', deferred(started, 'write1')),
+            queue.add(PRIORITY_READ,  'ha2', deferred(started, 'read2'))
+        ];
+        let err = new Error('cancelled');
+        queue.cancel('ha1', err);
+        await assert.rejects(results[1], err);
+        assert.deepStrictEqual(queue.queued.map(r => r.haid), ['ha1', 'ha2']);
+        active.resolve();
+        await results[0];
+        assert.deepStrictEqual(started, ['active', 'write1']);
+    });
+});
@@ -0,0 +1,89 @@
+// Homebridge plugin for Home Connect home appliances
+// Copyright © 2019-2020 Alexander Thoukydides
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const Path = require('path');
+const TokenStore = require('../lib/token_store.js');
+
+// Minimal stand-in for node-persist
+class FakePersist {
+    constructor() { this.items = {}; }
+    async getItem(key) { return this.items[key]; }
+    async setItem(key, value) { this.items[key] = value; }
+}
+
+// Discard log messages
+const log = { error() {}, warn() {}, info() {}, debug() {} };
+
+const TOKENS = { 'client-id': { accessToken: 'access',
+                                refreshToken: 'refresh' } };
+
+describe('TokenStore encryption', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(Path.join(os.tmpdir(), 'token-store-'));
+    });
+
+    afterEach(() => {
+        for (let file of fs.readdirSync(dir)) {
+            fs.unlinkSync(Path.join(dir, file));
+        }
+        fs.rmdirSync(dir);
+    });
+
+    it('encrypts and decrypts using a key file', async () => {
+        let store = new TokenStore(log, new FakePersist(), dir);
+        let saved = await store.encrypt(TOKENS);
+        assert.strictEqual(saved.kdf, 'keyfile');
+        assert(!JSON.stringify(saved).includes('refresh'));
+        assert.deepStrictEqual(await store.decrypt(saved), TOKENS);
+
+        // A new instance uses the same key file
+        let other = new TokenStore(log, new FakePersist(), dir);
+        assert.deepStrictEqual(await other.decrypt(saved), TOKENS);
+        let mode = fs.statSync(store.keyFile()).mode & 0o777;
+        assert.strictEqual(mode, 0o600);
+    });
+
+    it('encrypts and decrypts using a secret', async () => {
+        let store = new TokenStore(log, new FakePersist(), dir, 'secret');
+        let saved = await store.encrypt(TOKENS);
+        assert.strictEqual(saved.kdf, 'scrypt');
+        assert.deepStrictEqual(await store.decrypt(saved), TOKENS);
+        assert(!fs.existsSync(store.keyFile()));
+
+        // The wrong secret cannot decrypt the tokens
+        let other = new TokenStore(log, new FakePersist(), dir, 'wrong');
+        await assert.rejects(other.decrypt(saved));
+    });
+
+    it('rejects tampered data', async () => {
+        let store = new TokenStore(log, new FakePersist(), dir);
+        let saved = await store.encrypt(TOKENS);
+        let data = Buffer.from(saved.data, 'base64');
+        data[0] ^= 1;
+        saved.data = data.toString('base64');
+        await assert.rejects(store.decrypt(saved));
+    });
+
+    it('shares a key file created concurrently', async () => {
+        let stores = [1, 2, 3].map(
+            () => new TokenStore(log, new FakePersist(), dir));
+        let keys = await Promise.all(stores.map(s => s.readKeyFile()));
+        for (let key of keys) assert(key.equals(keys[0]));
+        assert.deepStrictEqual(fs.readdirSync(dir), ['token.key']);
+    });
+
+    it('encrypts previously saved plaintext tokens', async () => {
+        let persist = new FakePersist();
+        persist.items.token = TOKENS;
+        let store = new TokenStore(log, persist, dir);
+        assert.deepStrictEqual(await store.load(), TOKENS);
+        assert.strictEqual(persist.items.token.encrypted, 1);
+    });
+});